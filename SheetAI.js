@@ -5,6 +5,7 @@
  * Documentation: https://github.com/zyxware/SheetAI/blob/main/README.md
  * Features:
  * - Executes OpenAI prompts on Google Sheets data
+ * - Works with OpenAI, Azure OpenAI, Anthropic and OpenAI-compatible servers
  * - Batch Processing Capability (supports up to 50,000 requests per batch)
  * - Saves results back to the Data sheet
  *********************************/
@@ -19,7 +20,24 @@ const CONFIG_KEYS = {
   BATCH_SIZE: 'BATCH_SIZE',
   TEMPERATURE: 'TEMPERATURE',
   MAX_TOKENS: 'MAX_TOKENS',
-  SEED: 'SEED'
+  SEED: 'SEED',
+  PROVIDER: 'PROVIDER',
+  BASE_URL: 'BASE_URL',
+  API_VERSION: 'API_VERSION',
+  MAX_RETRIES: 'MAX_RETRIES',
+  CONCURRENCY: 'CONCURRENCY',
+  AUTO_BATCH_INTERVAL: 'AUTO_BATCH_INTERVAL',
+  AUTO_CREATE_BATCHES: 'AUTO_CREATE_BATCHES',
+  MAX_ATTEMPTS: 'MAX_ATTEMPTS',
+  MAX_COST_PER_RUN: 'MAX_COST_PER_RUN',
+  MAX_COST_PER_DAY: 'MAX_COST_PER_DAY',
+  MAX_COST_PER_MONTH: 'MAX_COST_PER_MONTH',
+  DEFAULT_SYSTEM_PROMPT: 'DEFAULT_SYSTEM_PROMPT',
+  FLATTEN_MAX_DEPTH: 'FLATTEN_MAX_DEPTH',
+  FLATTEN_ARRAY_DELIMITER: 'FLATTEN_ARRAY_DELIMITER',
+  FLATTEN_OBJECT_ARRAYS: 'FLATTEN_OBJECT_ARRAYS',
+  DATA_SHEET: 'DATA_SHEET',
+  PROMPTS_SHEET: 'PROMPTS_SHEET'
 };
 
 /**
@@ -31,15 +49,47 @@ const CONFIG_DEFAULTS = {
   BATCH_SIZE: 2000,
   TEMPERATURE: 0,
   MAX_TOKENS: 256,
-  SEED: 101
+  SEED: 101,
+  PROVIDER: 'openai',
+  MAX_RETRIES: 5,
+  CONCURRENCY: 5,
+  AUTO_BATCH_INTERVAL: 10,
+  AUTO_CREATE_BATCHES: false,
+  MAX_ATTEMPTS: 3,
+  // 0 means no limit
+  MAX_COST_PER_RUN: 0,
+  MAX_COST_PER_DAY: 0,
+  MAX_COST_PER_MONTH: 0,
+  DEFAULT_SYSTEM_PROMPT: 'You are a helpful assistant. Return valid JSON only.',
+  FLATTEN_MAX_DEPTH: 3,
+  FLATTEN_ARRAY_DELIMITER: ', ',
+  // json or index
+  FLATTEN_OBJECT_ARRAYS: 'json',
+  DATA_SHEET: 'Data',
+  PROMPTS_SHEET: 'Prompts'
 };
 
 /**
- * Gets a configuration value from the Config sheet
+ * Gets a configuration value from the Config overrides of the current project,
+ * or else from the Config sheet
  * @param {string} key - The configuration key
  * @returns {any} The configuration value or undefined if not found
  */
 function getConfigValue(key) {
+  var overrides = getCurrentProject().config;
+  if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+    return overrides[key];
+  }
+  
+  return getSheetConfigValue(key);
+}
+
+/**
+ * Gets a configuration value from the Config sheet, ignoring project overrides
+ * @param {string} key - The configuration key
+ * @returns {any} The configuration value or undefined if not found
+ */
+function getSheetConfigValue(key) {
   var configSheet = getSheet('Config');
   
   // If Config sheet doesn't exist, return undefined
@@ -68,6 +118,39 @@ function getApiKey() {
   return getConfigValue(CONFIG_KEYS.API_KEY);
 }
 
+/**
+ * Gets the provider name from the Config sheet or uses the default
+ * @returns {string} The provider name in lowercase
+ */
+function getProviderName() {
+  var provider = getConfigValue(CONFIG_KEYS.PROVIDER);
+  return provider ? String(provider).trim().toLowerCase() : CONFIG_DEFAULTS.PROVIDER;
+}
+
+/**
+ * Gets the API base URL from the Config sheet or the provider default. The
+ * version path of the provider, such as /v1, is added when it is missing.
+ * @param {Object} provider - The provider definition
+ * @returns {string} The base URL without a trailing slash
+ */
+function getBaseUrl(provider) {
+  var baseUrl = String(getConfigValue(CONFIG_KEYS.BASE_URL) || provider.defaultBaseUrl || '').trim().replace(/\/+$/, '');
+  if (baseUrl && provider.versionPath && baseUrl.slice(-provider.versionPath.length) !== provider.versionPath) {
+    baseUrl += provider.versionPath;
+  }
+  return baseUrl;
+}
+
+/**
+ * Gets the API version from the Config sheet or the provider default
+ * @param {Object} provider - The provider definition
+ * @returns {string} The API version
+ */
+function getApiVersion(provider) {
+  var apiVersion = getConfigValue(CONFIG_KEYS.API_VERSION);
+  return apiVersion ? String(apiVersion).trim() : provider.defaultApiVersion;
+}
+
 /**
  * Gets the default model from the Config sheet or uses the default
  * @returns {string} The default model
@@ -77,6 +160,19 @@ function getDefaultModel() {
   return model !== undefined ? model : CONFIG_DEFAULTS.DEFAULT_MODEL;
 }
 
+/**
+ * Gets the system prompt for prompts without one from the Config sheet or uses the default
+ * @param {boolean} isText - Whether the prompt uses the text output mode, which has its own default
+ * @returns {string} The default system prompt
+ */
+function getDefaultSystemPrompt(isText) {
+  var systemPrompt = getConfigValue(CONFIG_KEYS.DEFAULT_SYSTEM_PROMPT);
+  if (systemPrompt) {
+    return String(systemPrompt);
+  }
+  return isText ? TEXT_SYSTEM_PROMPT : CONFIG_DEFAULTS.DEFAULT_SYSTEM_PROMPT;
+}
+
 /**
  * Checks if debug mode is enabled
  * @returns {boolean} True if debug mode is enabled
@@ -86,7 +182,28 @@ function isDebugModeEnabled() {
   if (debug === undefined) {
     return CONFIG_DEFAULTS.DEBUG;
   }
-  return debug === true || debug === 'TRUE' || debug === 'Yes' || debug === 'true' || debug === 1 || debug === '1';
+  return isTruthyConfigValue(debug);
+}
+
+/**
+ * Checks if batches should be created automatically by auto batch processing
+ * @returns {boolean} True if AUTO_CREATE_BATCHES is enabled
+ */
+function isAutoCreateBatchesEnabled() {
+  var autoCreate = getConfigValue(CONFIG_KEYS.AUTO_CREATE_BATCHES);
+  if (autoCreate === undefined) {
+    return CONFIG_DEFAULTS.AUTO_CREATE_BATCHES;
+  }
+  return isTruthyConfigValue(autoCreate);
+}
+
+/**
+ * Checks if a Config value means "on"
+ * @param {any} value - The configuration value
+ * @returns {boolean} True for true, TRUE, Yes, 1 and their string forms
+ */
+function isTruthyConfigValue(value) {
+  return value === true || value === 'TRUE' || value === 'Yes' || value === 'true' || value === 1 || value === '1';
 }
 
 /**
@@ -94,13 +211,37 @@ function isDebugModeEnabled() {
  * @returns {boolean} True if configuration is valid
  */
 function validateConfig() {
+  try {
+    getCurrentProject();
+  } catch (e) {
+    SpreadsheetApp.getUi().alert('Configuration Error', e.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    return false;
+  }
+  
   var apiKey = getApiKey();
+  var provider;
   
-  if (!apiKey) {
+  try {
+    provider = getProvider();
+  } catch (e) {
+    SpreadsheetApp.getUi().alert('Configuration Error', e.message, SpreadsheetApp.getUi().ButtonSet.OK);
+    return false;
+  }
+  
+  if (!apiKey && provider.requiresApiKey) {
     SpreadsheetApp.getUi().alert(
       'Configuration Error',
       'API_KEY is not set. Please create a sheet named "Config" with columns "Key" and "Value", ' +
-      'and add a row with Key="API_KEY" and Value=your_openai_api_key.',
+      'and add a row with Key="API_KEY" and Value=your_' + getProviderName() + '_api_key.',
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+    return false;
+  }
+  
+  if (!getBaseUrl(provider)) {
+    SpreadsheetApp.getUi().alert(
+      'Configuration Error',
+      'BASE_URL is not set. The ' + provider.label + ' provider needs the address of your server or resource in the Config sheet.',
       SpreadsheetApp.getUi().ButtonSet.OK
     );
     return false;
@@ -140,23 +281,138 @@ function onOpen() {
     .createMenu('OpenAI Tools')
     .addItem('Run for First 10 Rows', 'runPromptsForFirst10Rows')
     .addItem('Run for All Rows', 'runPromptsForAllRows')
+    .addItem('Run for Selected Rows', 'runPromptsForSelectedRows')
+    .addItem('Run for Filtered Rows', 'runPromptsForFilteredRows')
+    .addItem('Run for Matching Rows', 'runPromptsForMatchingRows')
+    .addItem('Retry Failed Rows', 'retryFailedRows')
+    .addItem('Validate Prompts', 'validatePrompts')
+    .addItem('Stop Background Run', 'stopBackgroundRun')
     .addSeparator()
     .addItem('Create Batch', 'createBatchWithConfigLimit')
     .addItem('Check and Process Batch', 'checkAndProcessNextCompletedBatch')
     .addItem('Check Batch Status', 'checkBatchStatus')
+    .addItem('Cancel Batch', 'cancelBatch')
+    .addItem('Enable Auto Batch Processing', 'enableAutoBatchProcessing')
+    .addItem('Disable Auto Batch Processing', 'disableAutoBatchProcessing')
+    .addSeparator()
+    .addItem('Select Project', 'selectProject')
+    .addItem('Edit Pricing', 'editPricing')
+    .addItem('Clear Response Cache', 'clearResponseCache')
     .addToUi();
 }
   
 function runPromptsForFirst10Rows() {
-  if (!validateConfig()) return;
+  if (!validateConfig() || isBackgroundRunActive()) return;
   checkForUpdates();
   runPrompts(10);
 }
   
 function runPromptsForAllRows() {
-  if (!validateConfig()) return;
+  if (!validateConfig() || isBackgroundRunActive()) return;
+  checkForUpdates();
+  runPrompts(Infinity, null, { confirmCost: true });
+}
+
+function validatePrompts() {
+  var result = lintPrompts();
+  
+  if (result.errors.length === 0 && result.warnings.length === 0) {
+    showAlert('Prompts Valid', 'No problems were found in the active prompts.');
+    return;
+  }
+  
+  showAlert(result.errors.length > 0 ? 'Prompt Validation Failed' : 'Prompt Validation Warnings', formatPromptReport(result));
+}
+
+function retryFailedRows() {
+  if (!validateConfig() || isBackgroundRunActive()) return;
+  var ui = SpreadsheetApp.getUi();
+  
+  var failedCount = findFailedRows(getDataSheet().getDataRange().getValues()).length;
+  if (failedCount === 0) {
+    showAlert('No Failed Rows', 
+             `No rows with Status ${ROW_ERROR_STATUS} were found that have fewer than ${getMaxAttempts()} failed attempts.`);
+    return;
+  }
+  
+  var response = ui.alert('Retry Failed Rows', 
+                         `${failedCount} failed rows can be retried.\n\nYes: retry them now\nNo: retry them in a batch`, 
+                         ui.ButtonSet.YES_NO_CANCEL);
+  
+  if (response === ui.Button.YES) {
+    runPrompts(Infinity, null, { retryFailed: true });
+  } else if (response === ui.Button.NO) {
+    createBatchWithLock({ retryFailed: true });
+  }
+}
+
+function runPromptsForSelectedRows() {
+  if (!validateConfig() || isBackgroundRunActive()) return;
+  checkForUpdates();
+  
+  var rowIndexes = getSelectedRowIndexes();
+  if (rowIndexes) {
+    runPromptsForRows(rowIndexes, 'selected');
+  }
+}
+
+function runPromptsForFilteredRows() {
+  if (!validateConfig() || isBackgroundRunActive()) return;
+  checkForUpdates();
+  
+  var rowIndexes = getFilteredRowIndexes();
+  if (rowIndexes) {
+    runPromptsForRows(rowIndexes, 'visible');
+  }
+}
+
+function runPromptsForMatchingRows() {
+  if (!validateConfig() || isBackgroundRunActive()) return;
   checkForUpdates();
-  runPrompts(Infinity);
+  
+  var rowIndexes = getMatchingRowIndexes();
+  if (rowIndexes) {
+    runPromptsForRows(rowIndexes, 'matching');
+  }
+}
+
+/**
+ * Runs the prompts on the chosen Data rows. When some of them already have a
+ * Status, asks whether to run them again or only the pending ones; the cost
+ * estimate then offers to send the rows in a batch instead.
+ * @param {Array} rowIndexes - The indexes of the chosen rows in the Data values
+ * @param {string} description - How the rows were chosen, such as "selected"
+ */
+function runPromptsForRows(rowIndexes, description) {
+  var ui = SpreadsheetApp.getUi();
+  var rows = toRowRanges(rowIndexes);
+  
+  // The rows are saved with the progress of the run if it continues in the background
+  if (JSON.stringify(rows).length > BACKGROUND_RUN_MAX_ROWS_LENGTH) {
+    showAlert('Too Many Separate Rows', 
+             `The ${rowIndexes.length} ${description} rows are spread over ${rows.length} separate ranges, too many to save if the run continues in the background. ` + 
+             `Sort the Data sheet so that the rows are next to each other, or run them in smaller parts.`);
+    return;
+  }
+  
+  var pendingCount = findRowsToRun(getDataSheet().getDataRange().getValues(), { rows: rows }, getActivePrompts()).length;
+  var force = false;
+  
+  if (pendingCount < rowIndexes.length) {
+    var response = ui.alert('Run Rows Again?', 
+                           `${rowIndexes.length - pendingCount} of the ${rowIndexes.length} ${description} rows have already run every active prompt or are failed.\n\n` + 
+                           `Yes: run every prompt on all ${rowIndexes.length} rows again\nNo: run only the missing or changed prompts of ${pendingCount} rows`, 
+                           ui.ButtonSet.YES_NO_CANCEL);
+    if (response !== ui.Button.YES && response !== ui.Button.NO) return;
+    force = response === ui.Button.YES;
+  }
+  
+  if (!force && pendingCount === 0) {
+    showAlert('No Data', `None of the ${description} rows need processing.`);
+    return;
+  }
+  
+  runPrompts(Infinity, null, { confirmCost: true, rows: rows, force: force });
 }
 
 /**
@@ -171,19 +427,26 @@ function getBatchSize() {
 function createBatchWithConfigLimit() {
   if (!validateConfig()) return;
   checkForUpdates();
+  createBatchWithLock({ confirmCost: true });
+}
+
+/**
+ * Creates a batch of BATCH_SIZE rows, unless another batch is being created
+ * @param {Object} options - The options passed on to createBatch
+ */
+function createBatchWithLock(options) {
   // Check if a batch is already being created
   var lock = LockService.getScriptLock();
   if (!lock.tryLock(1000)) {
     showAlert('Batch Creation in Progress', 
-                  'A batch is already being created. Please wait until it completes.', 
-                  SpreadsheetApp.getUi().ButtonSet.OK);
+                  'A batch is already being created. Please wait until it completes.');
     return;
   }
   
   try {
     // Get the batch size from config
     var batchSize = getBatchSize();
-    createBatch(Infinity, batchSize);
+    createBatch(Infinity, batchSize, options);
   } finally {
     lock.releaseLock();
   }
@@ -202,111 +465,123 @@ function checkBatchStatus() {
       return;
     }
     
+    var updatedCount = refreshBatchStatuses(batchStatusSheet);
+    
+    if (updatedCount > 0) {
+      showAlert('Batch Status Updated', `Updated status for ${updatedCount} batches.`, ui.ButtonSet.OK);
+    } else {
+      showAlert('No Updates', 'No batch status updates were needed.', ui.ButtonSet.OK);
+    }
+    
+    // Activate the Batch Status sheet
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(batchStatusSheet);
+    
+  } catch (e) {
+    debugLog('Error checking batch status: ' + e.toString());
+    showAlert('Error', 'Failed to check batch status: ' + e.toString(), ui.ButtonSet.OK, true);
+  }
+}
+
+/**
+ * Cancels the batch on the selected Batch Status row, or asks for a batch ID when
+ * no batch row is selected, and sets its Data rows back to their Status from before it
+ */
+function cancelBatch() {
+  if (!validateConfig()) return;
+  var ui = SpreadsheetApp.getUi();
+  
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(1000)) {
+    showAlert('Batch Operation in Progress', 
+             'A batch is being created or processed. Please wait until it completes.');
+    return;
+  }
+  
+  try {
+    var batchStatusSheet = getSheet('Batch Status');
+    if (batchStatusSheet.getLastRow() <= 1) {
+      showAlert('No Batches', 'No batch jobs were found in the Batch Status sheet.');
+      return;
+    }
+    
     var batchData = batchStatusSheet.getDataRange().getValues();
     var headers = batchData[0];
-    
-    // Define column indices based on expected structure
     var batchIdColIndex = headers.indexOf("Batch ID");
     var openAIBatchIdColIndex = headers.indexOf("OpenAI Batch ID");
     var statusColIndex = headers.indexOf("Status");
-    var createdAtColIndex = headers.indexOf("Created At");
     var lastCheckedColIndex = headers.indexOf("Last Checked At");
-    var inputFileIdColIndex = headers.indexOf("Input File ID");
-    var outputFileIdColIndex = headers.indexOf("Output File ID");
-    var errorFileIdColIndex = headers.indexOf("Error File ID");
-    var totalRequestsColIndex = headers.indexOf("Total Requests");
-    var completedColIndex = headers.indexOf("Completed");
-    var failedColIndex = headers.indexOf("Failed");
     var processedColIndex = headers.indexOf("Processed");
     
-    // Add Processed column if it doesn't exist
-    if (processedColIndex < 0) {
-      processedColIndex = headers.length;
-      batchStatusSheet.getRange(1, processedColIndex + 1).setValue("Processed");
-      headers.push("Processed");
+    // Use the selected row when the Batch Status sheet is active
+    var rowIndex = -1;
+    var activeSheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    var activeRange = activeSheet.getActiveRange();
+    if (activeSheet.getName() === 'Batch Status' && activeRange && activeRange.getRow() > 1) {
+      rowIndex = activeRange.getRow() - 1;
+    }
+    
+    if (rowIndex < 0 || rowIndex >= batchData.length) {
+      var response = ui.prompt('Cancel Batch', 
+                              'Enter the Batch ID or OpenAI Batch ID to cancel, or select its row in the Batch Status sheet:', 
+                              ui.ButtonSet.OK_CANCEL);
+      if (response.getSelectedButton() !== ui.Button.OK) return;
       
-      // Initialize all existing rows with "No" for Processed
+      var enteredId = response.getResponseText().trim();
+      rowIndex = -1;
       for (var i = 1; i < batchData.length; i++) {
-        batchStatusSheet.getRange(i + 1, processedColIndex + 1).setValue("No");
+        if (enteredId && (batchData[i][batchIdColIndex] === enteredId || batchData[i][openAIBatchIdColIndex] === enteredId)) {
+          rowIndex = i;
+          break;
+        }
+      }
+      
+      if (rowIndex < 0) {
+        showAlert('Batch Not Found', `No batch with the ID "${enteredId}" was found in the Batch Status sheet.`);
+        return;
       }
     }
     
-    if (openAIBatchIdColIndex < 0 || statusColIndex < 0) {
-      showAlert('Error', 'Batch Status sheet is missing required columns.', ui.ButtonSet.OK);
+    var batchId = batchData[rowIndex][batchIdColIndex];
+    var openAIBatchId = batchData[rowIndex][openAIBatchIdColIndex];
+    var currentStatus = batchData[rowIndex][statusColIndex];
+    var currentProcessed = processedColIndex >= 0 ? batchData[rowIndex][processedColIndex] || "No" : "No";
+    
+    if (currentProcessed !== "No" || BATCH_TERMINAL_STATUSES.indexOf(currentStatus) >= 0 || currentStatus === 'cancelling') {
+      showAlert('Cannot Cancel Batch', 
+               `Batch ${batchId} has already ended or been cancelled (status: ${currentStatus}).`);
       return;
     }
     
-    // Get all batches from OpenAI
-    var openAIBatches = fetchAllBatches();
-    var openAIBatchesMap = {};
-    
-    // Create a map for quick lookup
-    for (var i = 0; i < openAIBatches.length; i++) {
-      openAIBatchesMap[openAIBatches[i].id] = openAIBatches[i];
-    }
+    var confirm = ui.alert('Cancel Batch', 
+                          `Cancel batch ${batchId}?\n\nOpenAI Batch ID: ${openAIBatchId}\n\nIts rows will be set back to the Status they had before it and any results it returns will be discarded.`, 
+                          ui.ButtonSet.YES_NO);
+    if (confirm !== ui.Button.YES) return;
     
-    var updatedCount = 0;
+    var cancelledBatch = cancelOpenAIBatch(openAIBatchId);
     
-    // Update status for each batch in our sheet
-    for (var i = 1; i < batchData.length; i++) {
-      var openAIBatchId = batchData[i][openAIBatchIdColIndex];
-      var currentStatus = batchData[i][statusColIndex];
-      var currentProcessed = batchData[i][processedColIndex] || "No";
-      
-      // Skip batches that are already processed
-      if (currentProcessed === "Yes") continue;
-      
-      // Check if this batch exists in OpenAI
-      if (openAIBatchId && openAIBatchesMap[openAIBatchId]) {
-        var openAIBatch = openAIBatchesMap[openAIBatchId];
-        
-        // If the status has changed or we need to update counts
-        if (openAIBatch.status !== currentStatus || 
-            (completedColIndex >= 0 && openAIBatch.request_counts.completed !== batchData[i][completedColIndex])) {
-          
-          // Get the full batch details
-          var fullBatchDetails = retrieveBatch(openAIBatchId);
-          
-          // Update status
-          batchStatusSheet.getRange(i + 1, statusColIndex + 1).setValue(fullBatchDetails.status);
-          batchStatusSheet.getRange(i + 1, lastCheckedColIndex + 1).setValue(new Date().toISOString());
-          
-          // Update request counts
-          if (totalRequestsColIndex >= 0) {
-            batchStatusSheet.getRange(i + 1, totalRequestsColIndex + 1).setValue(fullBatchDetails.request_counts.total);
-          }
-          
-          if (completedColIndex >= 0) {
-            batchStatusSheet.getRange(i + 1, completedColIndex + 1).setValue(fullBatchDetails.request_counts.completed);
-          }
-          
-          if (failedColIndex >= 0) {
-            batchStatusSheet.getRange(i + 1, failedColIndex + 1).setValue(fullBatchDetails.request_counts.failed);
-          }
-          
-          // Update the output file ID if available
-          if (fullBatchDetails.output_file_id && outputFileIdColIndex >= 0) {
-            batchStatusSheet.getRange(i + 1, outputFileIdColIndex + 1).setValue(fullBatchDetails.output_file_id);
-          }
-          
-          updatedCount++;
-          debugLog(`Updated batch ${openAIBatchId} status from ${currentStatus} to ${fullBatchDetails.status}`);
-        }
-      }
+    // Record the cancellation, Processed "Cancelled" keeps the batch out of later status checks
+    batchStatusSheet.getRange(rowIndex + 1, statusColIndex + 1).setValue(cancelledBatch.status || 'cancelling');
+    if (lastCheckedColIndex >= 0) {
+      batchStatusSheet.getRange(rowIndex + 1, lastCheckedColIndex + 1).setValue(new Date().toISOString());
     }
-    
-    if (updatedCount > 0) {
-      showAlert('Batch Status Updated', `Updated status for ${updatedCount} batches.`, ui.ButtonSet.OK);
-    } else {
-      showAlert('No Updates', 'No batch status updates were needed.', ui.ButtonSet.OK);
+    if (processedColIndex < 0) {
+      processedColIndex = headers.length;
+      batchStatusSheet.getRange(1, processedColIndex + 1).setValue("Processed");
     }
+    batchStatusSheet.getRange(rowIndex + 1, processedColIndex + 1).setValue("Cancelled");
     
-    // Activate the Batch Status sheet
-    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(batchStatusSheet);
+    var projectColIndex = headers.indexOf("Project");
+    var projectName = projectColIndex >= 0 ? String(batchData[rowIndex][projectColIndex] || '') : '';
+    var resetCount = runInProject(projectName, () => resetUnfinishedBatchRows(batchId));
+    Logger.log(`Cancelled batch ${batchId} (OpenAI ID: ${openAIBatchId}), reset ${resetCount} rows`);
     
+    showAlert('Batch Cancelled', 
+             `Batch ${batchId} was cancelled.\n\nOpenAI Batch ID: ${openAIBatchId}\nRows set back: ${resetCount}`);
   } catch (e) {
-    debugLog('Error checking batch status: ' + e.toString());
-    showAlert('Error', 'Failed to check batch status: ' + e.toString(), ui.ButtonSet.OK, true);
+    debugLog('Error cancelling batch: ' + e.toString());
+    showAlert('Error', 'Failed to cancel batch: ' + e.toString());
+  } finally {
+    lock.releaseLock();
   }
 }
   
@@ -336,128 +611,17 @@ function checkAndProcessNextCompletedBatch() {
       return;
     }
     
-    var batchData = batchStatusSheet.getDataRange().getValues();
-    var headers = batchData[0];
-    Logger.log("Found " + (batchData.length - 1) + " batches in Batch Status sheet");
-    
-    // Define column indices based on expected structure
-    var batchIdColIndex = headers.indexOf("Batch ID");
-    var openAIBatchIdColIndex = headers.indexOf("OpenAI Batch ID");
-    var statusColIndex = headers.indexOf("Status");
-    var outputFileIdColIndex = headers.indexOf("Output File ID");
-    var processedColIndex = headers.indexOf("Processed");
-    var lastCheckedColIndex = headers.indexOf("Last Checked At");
-    
-    Logger.log("Column indices - Batch ID: " + batchIdColIndex + 
-               ", OpenAI Batch ID: " + openAIBatchIdColIndex + 
-               ", Status: " + statusColIndex + 
-               ", Output File ID: " + outputFileIdColIndex + 
-               ", Processed: " + processedColIndex);
-    
-    // Add Processed column if it doesn't exist
-    if (processedColIndex < 0) {
-      processedColIndex = headers.length;
-      batchStatusSheet.getRange(1, processedColIndex + 1).setValue("Processed");
-      headers.push("Processed");
-      
-      // Initialize all existing rows with "No" for Processed
-      for (var i = 1; i < batchData.length; i++) {
-        batchStatusSheet.getRange(i + 1, processedColIndex + 1).setValue("No");
-      }
-      Logger.log("Added Processed column");
-    }
-    
-    if (openAIBatchIdColIndex < 0 || statusColIndex < 0) {
-      Logger.log("Missing required columns in Batch Status sheet");
-      showAlert('Error', 'Batch Status sheet is missing required columns.', ui.ButtonSet.OK);
-      return;
-    }
-    
-    // Get all batches from OpenAI to update status
-    Logger.log("Fetching batches from OpenAI");
-    var openAIBatches = fetchAllBatches();
-    var openAIBatchesMap = {};
-    
-    // Create a map for quick lookup
-    for (var i = 0; i < openAIBatches.length; i++) {
-      openAIBatchesMap[openAIBatches[i].id] = openAIBatches[i];
-    }
-    Logger.log("Found " + openAIBatches.length + " batches in OpenAI");
-    
     // First, update the status of all batches
-    var updatedCount = 0;
-    for (var i = 1; i < batchData.length; i++) {
-      var batchId = batchData[i][batchIdColIndex];
-      var openAIBatchId = batchData[i][openAIBatchIdColIndex];
-      var currentStatus = batchData[i][statusColIndex];
-      var currentProcessed = batchData[i][processedColIndex] || "No";
-      
-      Logger.log("Checking batch " + batchId + " (OpenAI ID: " + openAIBatchId + ") - Status: " + currentStatus + ", Processed: " + currentProcessed);
-      
-      // Skip batches that are already processed
-      if (currentProcessed === "Yes") {
-        Logger.log("Skipping already processed batch: " + batchId);
-        continue;
-      }
-      
-      // Check if this batch exists in OpenAI
-      if (openAIBatchId && openAIBatchesMap[openAIBatchId]) {
-        var openAIBatch = openAIBatchesMap[openAIBatchId];
-        
-        // If the status has changed or we need to update
-        if (openAIBatch.status !== currentStatus || !batchData[i][outputFileIdColIndex]) {
-          Logger.log("Status changed for batch " + batchId + " from " + currentStatus + " to " + openAIBatch.status);
-          
-          // Get the full batch details
-          var fullBatchDetails = retrieveBatch(openAIBatchId);
-          
-          // Update status
-          batchStatusSheet.getRange(i + 1, statusColIndex + 1).setValue(fullBatchDetails.status);
-          batchStatusSheet.getRange(i + 1, lastCheckedColIndex + 1).setValue(new Date().toISOString());
-          
-          // Update the output file ID if available
-          if (fullBatchDetails.output_file_id && outputFileIdColIndex >= 0) {
-            batchStatusSheet.getRange(i + 1, outputFileIdColIndex + 1).setValue(fullBatchDetails.output_file_id);
-            Logger.log("Updated output file ID for batch " + batchId + ": " + fullBatchDetails.output_file_id);
-          }
-          
-          updatedCount++;
-        }
-      }
-    }
-    
+    var updatedCount = refreshBatchStatuses(batchStatusSheet);
     Logger.log("Updated " + updatedCount + " batches");
     
-    // Now find a completed batch to process
-    var batchToProcess = null;
-    var batchRowIndex = -1;
-    
-    // Refresh the data after updates
-    batchData = batchStatusSheet.getDataRange().getValues();
-    
-    for (var i = 1; i < batchData.length; i++) {
-      var batchId = batchData[i][batchIdColIndex];
-      var openAIBatchId = batchData[i][openAIBatchIdColIndex];
-      var currentStatus = batchData[i][statusColIndex];
-      var currentProcessed = batchData[i][processedColIndex] || "No";
-      var outputFileId = batchData[i][outputFileIdColIndex];
-      
-      // Only process completed batches that have an output file and aren't already processed
-      if (currentStatus === "completed" && outputFileId && currentProcessed === "No") {
-        batchToProcess = {
-          id: openAIBatchId,
-          output_file_id: outputFileId
-        };
-        batchRowIndex = i;
-        Logger.log("Found completed batch to process: " + batchId);
-        break;
-      }
-    }
+    // Now find an ended batch to process
+    var batchesToProcess = findBatchesToProcess(batchStatusSheet);
     
     // If we found a batch to process
-    if (batchToProcess) {
-      var batchId = batchData[batchRowIndex][batchIdColIndex];
-      var openAIBatchId = batchToProcess.id;
+    if (batchesToProcess.length > 0) {
+      var batchId = batchesToProcess[0].batchId;
+      var openAIBatchId = batchesToProcess[0].openAIBatchId;
       
       Logger.log("Processing batch " + batchId + " (OpenAI ID: " + openAIBatchId + ")");
       
@@ -474,9 +638,9 @@ function checkAndProcessNextCompletedBatch() {
                      ui.ButtonSet.OK, true);
       }
     } else {
-      Logger.log("No completed batches found to process");
+      Logger.log("No ended batches found to process");
       showAlert('No Batches to Process', 
-                   'No completed batches were found that need processing. Batches may still be in progress at OpenAI.', 
+                   'No ended batches were found that need processing. Batches may still be in progress at the provider.', 
                    ui.ButtonSet.OK);
     }
   } catch (e) {
@@ -486,33 +650,308 @@ function checkAndProcessNextCompletedBatch() {
     lock.releaseLock();
   }
 }
-  
-/* ======== Utility Functions ======== */
+
 /**
- * Gets only the active prompts from the Prompts sheet
- * @return {Array} Array of active prompts with name, text, model, temperature, max_tokens, and seed properties
+ * Refreshes the status, request counts and output file of every batch in the
+ * Batch Status sheet that has not been processed yet
+ * @param {Sheet} batchStatusSheet - The Batch Status sheet
+ * @returns {number} The number of batches that were updated
  */
-function getActivePrompts() {
-  var promptsSheet = getSheet('Prompts');
-  var promptsData = promptsSheet.getDataRange().getValues();
+function refreshBatchStatuses(batchStatusSheet) {
+  var batchData = batchStatusSheet.getDataRange().getValues();
+  var headers = batchData[0];
   
-  // Check if we have headers
-  if (promptsData.length <= 1) {
-    return [];
+  // Define column indices based on expected structure
+  var batchIdColIndex = headers.indexOf("Batch ID");
+  var openAIBatchIdColIndex = headers.indexOf("OpenAI Batch ID");
+  var statusColIndex = headers.indexOf("Status");
+  var lastCheckedColIndex = headers.indexOf("Last Checked At");
+  var outputFileIdColIndex = headers.indexOf("Output File ID");
+  var errorFileIdColIndex = headers.indexOf("Error File ID");
+  var totalRequestsColIndex = headers.indexOf("Total Requests");
+  var completedColIndex = headers.indexOf("Completed");
+  var failedColIndex = headers.indexOf("Failed");
+  var processedColIndex = headers.indexOf("Processed");
+  
+  // Add Processed column if it doesn't exist
+  if (processedColIndex < 0) {
+    processedColIndex = headers.length;
+    batchStatusSheet.getRange(1, processedColIndex + 1).setValue("Processed");
+    headers.push("Processed");
+    
+    // Initialize all existing rows with "No" for Processed
+    for (var i = 1; i < batchData.length; i++) {
+      batchStatusSheet.getRange(i + 1, processedColIndex + 1).setValue("No");
+    }
+    Logger.log("Added Processed column");
   }
   
-  var headers = promptsData[0];
-  var promptNameIndex = headers.indexOf("Prompt Name");
-  var promptTextIndex = headers.indexOf("Prompt Text");
-  var modelIndex = headers.indexOf("Model");
-  var activeColIndex = headers.indexOf("Active");
+  if (openAIBatchIdColIndex < 0 || statusColIndex < 0) {
+    throw new Error('Batch Status sheet is missing required columns.');
+  }
+  
+  // Get the batches from OpenAI, reading as many pages as needed to find every open batch
+  var openBatchIds = [];
+  for (var i = 1; i < batchData.length; i++) {
+    if ((batchData[i][processedColIndex] || "No") === "No" && batchData[i][openAIBatchIdColIndex]) {
+      openBatchIds.push(batchData[i][openAIBatchIdColIndex]);
+    }
+  }
+  var openAIBatches = fetchAllBatches(openBatchIds);
+  var openAIBatchesMap = {};
+  
+  // Create a map for quick lookup
+  for (var i = 0; i < openAIBatches.length; i++) {
+    openAIBatchesMap[openAIBatches[i].id] = openAIBatches[i];
+  }
+  Logger.log("Found " + openAIBatches.length + " batches in OpenAI");
+  
+  var updatedCount = 0;
+  
+  // Update status for each batch in our sheet
+  for (var i = 1; i < batchData.length; i++) {
+    var batchId = batchData[i][batchIdColIndex];
+    var openAIBatchId = batchData[i][openAIBatchIdColIndex];
+    var currentStatus = batchData[i][statusColIndex];
+    var currentProcessed = batchData[i][processedColIndex] || "No";
+    
+    // Skip batches that are already processed or were cancelled from the sheet
+    if (currentProcessed !== "No") continue;
+    
+    // Check if this batch exists in OpenAI
+    if (openAIBatchId && openAIBatchesMap[openAIBatchId]) {
+      var openAIBatch = openAIBatchesMap[openAIBatchId];
+      
+      var counts = openAIBatch.request_counts || {};
+      var isEnded = BATCH_TERMINAL_STATUSES.indexOf(openAIBatch.status) >= 0;
+      
+      // If the status or counts have changed, or an ended batch is missing a result file it should have
+      if (openAIBatch.status !== currentStatus || 
+          (completedColIndex >= 0 && counts.completed !== batchData[i][completedColIndex]) ||
+          (failedColIndex >= 0 && counts.failed !== batchData[i][failedColIndex]) ||
+          (isEnded && counts.completed > 0 && outputFileIdColIndex >= 0 && !batchData[i][outputFileIdColIndex]) ||
+          (isEnded && counts.failed > 0 && errorFileIdColIndex >= 0 && !batchData[i][errorFileIdColIndex])) {
+        
+        // Get the full batch details
+        var fullBatchDetails = retrieveBatch(openAIBatchId);
+        
+        // Update status
+        batchStatusSheet.getRange(i + 1, statusColIndex + 1).setValue(fullBatchDetails.status);
+        if (lastCheckedColIndex >= 0) {
+          batchStatusSheet.getRange(i + 1, lastCheckedColIndex + 1).setValue(new Date().toISOString());
+        }
+        
+        // Update request counts
+        if (totalRequestsColIndex >= 0) {
+          batchStatusSheet.getRange(i + 1, totalRequestsColIndex + 1).setValue(fullBatchDetails.request_counts.total);
+        }
+        
+        if (completedColIndex >= 0) {
+          batchStatusSheet.getRange(i + 1, completedColIndex + 1).setValue(fullBatchDetails.request_counts.completed);
+        }
+        
+        if (failedColIndex >= 0) {
+          batchStatusSheet.getRange(i + 1, failedColIndex + 1).setValue(fullBatchDetails.request_counts.failed);
+        }
+        
+        // Update the output file ID if available
+        if (fullBatchDetails.output_file_id && outputFileIdColIndex >= 0) {
+          batchStatusSheet.getRange(i + 1, outputFileIdColIndex + 1).setValue(fullBatchDetails.output_file_id);
+        }
+        
+        // Update the error file ID if available
+        if (fullBatchDetails.error_file_id && errorFileIdColIndex >= 0) {
+          batchStatusSheet.getRange(i + 1, errorFileIdColIndex + 1).setValue(fullBatchDetails.error_file_id);
+        }
+        
+        updatedCount++;
+        debugLog(`Updated batch ${batchId} (OpenAI ID: ${openAIBatchId}) status from ${currentStatus} to ${fullBatchDetails.status}`);
+      }
+    }
+  }
+  
+  return updatedCount;
+}
+
+/**
+ * Finds the batches that have ended at the provider and have not been processed yet
+ * @param {Sheet} batchStatusSheet - The Batch Status sheet
+ * @returns {Array} Objects with the batchId and openAIBatchId of each batch
+ */
+function findBatchesToProcess(batchStatusSheet) {
+  var batchData = batchStatusSheet.getDataRange().getValues();
+  var headers = batchData[0];
+  var batchIdColIndex = headers.indexOf("Batch ID");
+  var openAIBatchIdColIndex = headers.indexOf("OpenAI Batch ID");
+  var statusColIndex = headers.indexOf("Status");
+  var processedColIndex = headers.indexOf("Processed");
+  var batches = [];
+  
+  for (var i = 1; i < batchData.length; i++) {
+    var currentStatus = batchData[i][statusColIndex];
+    var currentProcessed = batchData[i][processedColIndex] || "No";
+    
+    // Expired, failed and cancelled batches are processed too, for their partial results and errors
+    if (BATCH_TERMINAL_STATUSES.indexOf(currentStatus) >= 0 && currentProcessed === "No") {
+      batches.push({
+        batchId: batchData[i][batchIdColIndex],
+        openAIBatchId: batchData[i][openAIBatchIdColIndex]
+      });
+    }
+  }
+  
+  return batches;
+}
+
+/**
+ * Counts the batches that still need attention: running at the provider, or
+ * ended but not processed yet
+ * @param {Sheet} batchStatusSheet - The Batch Status sheet
+ * @returns {number} The number of open batches
+ */
+function countOpenBatches(batchStatusSheet) {
+  if (batchStatusSheet.getLastRow() <= 1) {
+    return 0;
+  }
+  
+  var batchData = batchStatusSheet.getDataRange().getValues();
+  var headers = batchData[0];
+  var processedColIndex = headers.indexOf("Processed");
+  var count = 0;
+  
+  for (var i = 1; i < batchData.length; i++) {
+    var currentProcessed = processedColIndex >= 0 ? batchData[i][processedColIndex] || "No" : "No";
+    if (currentProcessed === "No") {
+      count++;
+    }
+  }
+  
+  return count;
+}
+
+/* ======== Auto Batch Processing Functions ======== */
+
+// Batch statuses after which the provider will not return any more results
+const BATCH_TERMINAL_STATUSES = ['completed', 'expired', 'failed', 'cancelled'];
+
+// Intervals supported by ScriptApp time-based triggers
+const TRIGGER_MINUTE_INTERVALS = [1, 5, 10, 15, 30];
+
+function enableAutoBatchProcessing() {
+  if (!validateConfig()) return;
+  
+  try {
+    getBatchProvider();
+  } catch (e) {
+    showAlert('Error', e.message);
+    return;
+  }
+  
+  var interval = getAutoBatchInterval();
+  deleteTriggersForFunction('autoProcessBatches');
+  ScriptApp.newTrigger('autoProcessBatches')
+    .timeBased()
+    .everyMinutes(interval)
+    .create();
+  
+  showAlert('Auto Batch Processing Enabled', 
+           `Batches will be checked and processed every ${interval} minutes` +
+           (isAutoCreateBatchesEnabled() ? ', and new batches will be created for pending rows.' : '.') +
+           ' Auto processing turns itself off when there is nothing left to do.');
+}
+
+function disableAutoBatchProcessing() {
+  deleteTriggersForFunction('autoProcessBatches');
+  showAlert('Auto Batch Processing Disabled', 'Batches will no longer be checked and processed automatically.');
+}
+
+/**
+ * Refreshes all open batches, processes every ended batch within the time
+ * budget and, when AUTO_CREATE_BATCHES is on, creates the next batch once no
+ * batch is running. Called by the trigger installed by enableAutoBatchProcessing.
+ */
+function autoProcessBatches() {
+  var lock = LockService.getScriptLock();
+  if (!lock.tryLock(1000)) {
+    Logger.log("Skipping auto batch processing, another batch operation is in progress");
+    return;
+  }
+  
+  try {
+    var startTime = new Date();
+    var batchStatusSheet = getSheet('Batch Status');
+    var processedCount = 0;
+    
+    if (batchStatusSheet.getLastRow() > 1) {
+      refreshBatchStatuses(batchStatusSheet);
+      
+      var batchesToProcess = findBatchesToProcess(batchStatusSheet);
+      for (var i = 0; i < batchesToProcess.length; i++) {
+        if (new Date() - startTime > EXECUTION_TIME_BUDGET_MS) {
+          Logger.log("Time budget reached, the remaining batches will be processed on the next run");
+          return;
+        }
+        if (processBatchById(batchesToProcess[i].batchId, batchesToProcess[i].openAIBatchId)) {
+          processedCount++;
+        }
+      }
+    }
+    
+    // Create the next batch once nothing is running, if enabled
+    if (isAutoCreateBatchesEnabled() && countOpenBatches(batchStatusSheet) === 0) {
+      if (findNextBatchRows(Infinity, getBatchSize())) {
+        createBatch(Infinity, getBatchSize());
+      }
+    }
+    
+    // Stop when there is nothing left to wait for
+    if (countOpenBatches(batchStatusSheet) === 0) {
+      deleteTriggersForFunction('autoProcessBatches');
+      showAlert('Auto Batch Processing Complete', 
+               `All batches have been processed${processedCount > 0 ? ' (' + processedCount + ' in the last check)' : ''}. Auto batch processing has been turned off.`);
+    }
+  } catch (e) {
+    Logger.log("Error in autoProcessBatches: " + e.toString());
+    logError(new Date(), 0, "Auto Batch Error", "Error in auto batch processing: " + e.toString(), '');
+  } finally {
+    lock.releaseLock();
+  }
+}
+  
+/* ======== Utility Functions ======== */
+/**
+ * Gets only the active prompts from the Prompts sheet, ordered so that prompts
+ * run after the prompts whose output columns they use
+ * @return {Array} Array of active prompts with name, text, systemPrompt, model, temperature, max_tokens, schema, outputMode, flatten, outputMapping, condition, version, dependsOn and stage properties
+ */
+function getActivePrompts() {
+  var promptsSheet = getPromptsSheet();
+  var promptsData = promptsSheet.getDataRange().getValues();
+  
+  // Check if we have headers
+  if (promptsData.length <= 1) {
+    return [];
+  }
+  
+  var headers = promptsData[0];
+  var promptNameIndex = headers.indexOf("Prompt Name");
+  var promptTextIndex = headers.indexOf("Prompt Text");
+  var modelIndex = headers.indexOf("Model");
+  var activeColIndex = headers.indexOf("Active");
   var temperatureIndex = headers.indexOf("Temperature");
   var maxTokensIndex = headers.indexOf("Max Tokens");
+  var schemaIndex = headers.indexOf("Schema");
+  var conditionIndex = headers.indexOf("Condition");
+  var systemPromptIndex = headers.indexOf("System Prompt");
+  var outputModeIndex = headers.indexOf("Output Mode");
+  var maxDepthIndex = headers.indexOf("Max Depth");
+  var outputMappingIndex = headers.indexOf("Output Mapping");
 
   // Get default values from config
   var defaultTemperature = getTemperature();
   var defaultMaxTokens = getMaxTokens();
   var defaultModel = getDefaultModel();
+  var defaultFlatten = getDefaultFlattenOptions();
   
   // If required columns don't exist, return empty array
   if (promptNameIndex < 0 || promptTextIndex < 0) {
@@ -540,21 +979,106 @@ function getActivePrompts() {
   var activePrompts = [];
   for (var i = 1; i < promptsData.length; i++) {
     if (promptsData[i][activeColIndex] === 1) {
-      activePrompts.push({
+      var schema = null;
+      if (schemaIndex >= 0) {
+        try {
+          schema = parseSchemaDefinition(promptsData[i][schemaIndex]);
+        } catch (e) {
+          throw new Error('Invalid Schema for prompt "' + promptsData[i][promptNameIndex] + '": ' + e.message);
+        }
+      }
+      
+      var outputMode;
+      try {
+        outputMode = parseOutputMode(outputModeIndex >= 0 ? promptsData[i][outputModeIndex] : '');
+      } catch (e) {
+        throw new Error('Invalid Output Mode for prompt "' + promptsData[i][promptNameIndex] + '": ' + e.message);
+      }
+      
+      var maxDepth = maxDepthIndex >= 0 ? promptsData[i][maxDepthIndex] : '';
+      if (maxDepth !== '' && maxDepth !== null && maxDepth !== undefined) {
+        if (!(Number(maxDepth) >= 0) || Math.floor(Number(maxDepth)) !== Number(maxDepth)) {
+          throw new Error('Invalid Max Depth for prompt "' + promptsData[i][promptNameIndex] + '": Expected a whole number of 0 or more but found "' + maxDepth + '"');
+        }
+        maxDepth = Number(maxDepth);
+      } else {
+        maxDepth = defaultFlatten.maxDepth;
+      }
+      
+      var outputMapping = null;
+      if (outputMappingIndex >= 0) {
+        try {
+          outputMapping = parseOutputMapping(promptsData[i][outputMappingIndex], promptsData[i][promptNameIndex], outputMode);
+        } catch (e) {
+          throw new Error('Invalid Output Mapping for prompt "' + promptsData[i][promptNameIndex] + '": ' + e.message);
+        }
+      }
+      
+      try {
+        parseTemplate(promptsData[i][promptTextIndex]);
+      } catch (e) {
+        throw new Error('Invalid Prompt Text for prompt "' + promptsData[i][promptNameIndex] + '": ' + e.message);
+      }
+      
+      var systemPrompt = systemPromptIndex >= 0 && String(promptsData[i][systemPromptIndex]).trim() ? 
+        String(promptsData[i][systemPromptIndex]) : getDefaultSystemPrompt(outputMode.type === 'text');
+      try {
+        parseTemplate(systemPrompt);
+      } catch (e) {
+        throw new Error('Invalid System Prompt for prompt "' + promptsData[i][promptNameIndex] + '": ' + e.message);
+      }
+      
+      var conditionText = conditionIndex >= 0 ? String(promptsData[i][conditionIndex]).trim() : '';
+      var condition = null;
+      if (conditionText) {
+        try {
+          condition = parseCondition(conditionText);
+        } catch (e) {
+          throw new Error('Invalid Condition for prompt "' + promptsData[i][promptNameIndex] + '": ' + e.message);
+        }
+      }
+      
+      var prompt = {
         name: promptsData[i][promptNameIndex],
         text: promptsData[i][promptTextIndex],
+        systemPrompt: systemPrompt,
         model: modelIndex >= 0 && promptsData[i][modelIndex] ? promptsData[i][modelIndex] : defaultModel,
         temperature: temperatureIndex >= 0 && promptsData[i][temperatureIndex] !== "" && promptsData[i][temperatureIndex] !== null && promptsData[i][temperatureIndex] !== undefined ? promptsData[i][temperatureIndex] : defaultTemperature,
-        max_tokens: maxTokensIndex >= 0 && promptsData[i][maxTokensIndex] ? promptsData[i][maxTokensIndex] : defaultMaxTokens
+        max_tokens: maxTokensIndex >= 0 && promptsData[i][maxTokensIndex] ? promptsData[i][maxTokensIndex] : defaultMaxTokens,
+        schema: schema,
+        outputMode: outputMode,
+        flatten: {
+          maxDepth: maxDepth,
+          arrayDelimiter: defaultFlatten.arrayDelimiter,
+          objectArrays: defaultFlatten.objectArrays
+        },
+        outputMapping: outputMapping,
+        conditionText: conditionText,
+        condition: condition
+      };
+      prompt.version = getPromptVersion(prompt, {
+        systemPrompt: getPromptCellText(promptsData[i], systemPromptIndex),
+        model: getPromptCellText(promptsData[i], modelIndex),
+        temperature: getPromptCellText(promptsData[i], temperatureIndex),
+        max_tokens: getPromptCellText(promptsData[i], maxTokensIndex),
+        maxDepth: getPromptCellText(promptsData[i], maxDepthIndex)
       });
+      activePrompts.push(prompt);
     }
   }
   
-  return activePrompts;
+  return orderPromptsByDependencies(activePrompts);
 }
-  
-function getPricing(model) {
-  return PRICING_CONFIG[model.toLowerCase()] || PRICING_CONFIG["gpt-4o-mini"];
+
+/**
+ * Gets the trimmed text of a cell in a Prompts sheet row
+ * @param {Array} row - The row values
+ * @param {number} index - The column index, -1 when the column does not exist
+ * @returns {string} The cell text, empty when the column or value is missing
+ */
+function getPromptCellText(row, index) {
+  var value = index >= 0 ? row[index] : '';
+  return value === null || value === undefined ? '' : String(value).trim();
 }
   
 function getSheet(sheetName) {
@@ -562,95 +1086,342 @@ function getSheet(sheetName) {
   var sheet = ss.getSheetByName(sheetName);
   return sheet || ss.insertSheet(sheetName);
 }
-  
-/* ======== Alert and Logging Functions ======== */
 
 /**
- * Shows an alert popup to the user
- * @param {string} title - The alert title
- * @param {string} message - The alert message
- * @param {ButtonSet} buttons - The buttons to display (e.g., ui.ButtonSet.OK)
+ * Gets the Data sheet of the current project
+ * @returns {Sheet} The Data sheet
  */
-function showAlert(title, message, buttons) {
-  SpreadsheetApp.getUi().alert(title, message, buttons);
-  // Also log the message for reference
-  Logger.log(`ALERT - ${title}: ${message}`);
+function getDataSheet() {
+  return getSheet(getCurrentProject().dataSheet);
 }
 
 /**
- * Adds an entry to the Error Log sheet
- * @param {Date} timestamp - When the error occurred
- * @param {number} row - The row number in the Data sheet
- * @param {string} errorType - Type of error
- * @param {string} errorMessage - The error message
- * @param {string} batchId - The batch ID (if applicable)
+ * Gets the Prompts sheet of the current project
+ * @returns {Sheet} The Prompts sheet
  */
-function logError(timestamp, row, errorType, errorMessage, batchId = '') {
-  var errorSheet = getSheet('Error Log');
-  
-  // Add headers if the sheet is empty
-  if (errorSheet.getLastRow() === 0) {
-    errorSheet.appendRow([
-      "Timestamp",
-      "Row",
-      "Error Type",
-      "Error Message",
-      "Batch ID"
-    ]);
-    
-    // Format the header row
-    errorSheet.getRange(1, 1, 1, 5).setFontWeight('bold');
-    errorSheet.setFrozenRows(1);
+function getPromptsSheet() {
+  return getSheet(getCurrentProject().promptsSheet);
+}
+
+/* ======== Project Functions ======== */
+
+// Projects let one spreadsheet hold several Data and Prompts sheets with their own settings
+const PROJECTS_SHEET = 'Projects';
+const PROJECTS_SHEET_COLUMNS = ['Project', 'Data Sheet', 'Prompts Sheet', 'Config'];
+const ACTIVE_PROJECT_PROPERTY = 'ACTIVE_PROJECT';
+
+// The project of this execution, loaded once from the active project or set by runInProject
+var currentProject = null;
+
+/**
+ * Gets the project this execution works on
+ * @returns {Object} The project with name, dataSheet, promptsSheet and config overrides
+ */
+function getCurrentProject() {
+  if (!currentProject) {
+    currentProject = loadProject(getActiveProjectName());
   }
+  return currentProject;
+}
+
+/**
+ * Gets the name of the project selected with Select Project
+ * @returns {string} The project name, empty for the default project
+ */
+function getActiveProjectName() {
+  return PropertiesService.getScriptProperties().getProperty(ACTIVE_PROJECT_PROPERTY) || '';
+}
+
+/**
+ * Runs a function on another project, such as the one a batch was created for
+ * @param {string} projectName - The project name, empty for the default project
+ * @param {Function} callback - The function to run
+ * @returns {any} The result of the function
+ */
+function runInProject(projectName, callback) {
+  var previousProject = currentProject;
+  currentProject = loadProject(projectName);
   
-  // Add the error entry
-  errorSheet.appendRow([
-    timestamp,
-    row,
-    errorType,
-    errorMessage,
-    batchId
-  ]);
+  try {
+    return callback();
+  } finally {
+    currentProject = previousProject;
+  }
+}
+
+/**
+ * Loads a project from the Projects sheet. The default project, without a
+ * name, uses the DATA_SHEET and PROMPTS_SHEET settings of the Config sheet.
+ * @param {string} projectName - The project name, empty for the default project
+ * @returns {Object} The project with name, dataSheet, promptsSheet and config overrides
+ */
+function loadProject(projectName) {
+  if (!projectName) {
+    return {
+      name: '',
+      dataSheet: String(getSheetConfigValue(CONFIG_KEYS.DATA_SHEET) || CONFIG_DEFAULTS.DATA_SHEET),
+      promptsSheet: String(getSheetConfigValue(CONFIG_KEYS.PROMPTS_SHEET) || CONFIG_DEFAULTS.PROMPTS_SHEET),
+      config: {}
+    };
+  }
   
-  // Also log to the console for debugging
-  Logger.log(`ERROR - Row ${row}, Type: ${errorType}, Message: ${errorMessage}, Batch: ${batchId}`);
+  var project = getProjects().filter(project => project.name === projectName)[0];
+  if (!project) {
+    throw new Error('Project "' + projectName + '" was not found in the Projects sheet. Use Select Project to choose another one.');
+  }
+  return project;
 }
 
 /**
- * Adds an entry to the Execution Log sheet if debug mode is enabled
- * @param {Date} timestamp - When the execution occurred
- * @param {number} row - The row number in the Data sheet
- * @param {string} model - The model used
- * @param {string} promptName - The name of the prompt
- * @param {string} responseContent - The response content received
- * @param {number} inputTokens - Number of input tokens
- * @param {number} outputTokens - Number of output tokens
- * @param {number} totalTokens - Total tokens used
- * @param {number} cost - The cost in USD
+ * Reads the projects defined in the Projects sheet
+ * @returns {Array} The projects with name, dataSheet, promptsSheet and config overrides
  */
-function logExecution(timestamp, row, model, promptName, responseContent, inputTokens, outputTokens, totalTokens, cost) {
-  // Only log execution if debug mode is enabled
-  if (!isDebugModeEnabled()) {
-    return;
+function getProjects() {
+  var projectsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PROJECTS_SHEET);
+  if (!projectsSheet || projectsSheet.getLastRow() <= 1) {
+    return [];
   }
   
-  var logSheet = getSheet('Execution Log');
+  var projectsData = projectsSheet.getDataRange().getValues();
+  var headers = projectsData[0].map(header => String(header).trim());
+  var nameIndex = headers.indexOf('Project');
+  var dataSheetIndex = headers.indexOf('Data Sheet');
+  var promptsSheetIndex = headers.indexOf('Prompts Sheet');
+  var configIndex = headers.indexOf('Config');
+  var projects = [];
   
-  // Add headers if the sheet is empty
-  if (logSheet.getLastRow() === 0) {
-    logSheet.appendRow([
-      "Timestamp",
-      "Row",
-      "Model",
-      "Prompt Sent",
-      "Response Received",
-      "Input Tokens",
-      "Output Tokens",
-      "Total Tokens",
-      "Cost (USD)"
-    ]);
+  if (nameIndex < 0) {
+    throw new Error('The Projects sheet needs a "Project" column.');
+  }
+  
+  for (var i = 1; i < projectsData.length; i++) {
+    var name = String(projectsData[i][nameIndex]).trim();
+    if (!name) continue;
     
-    // Format the header row
+    var config;
+    try {
+      config = parseProjectConfig(configIndex >= 0 ? projectsData[i][configIndex] : '');
+    } catch (e) {
+      throw new Error('Invalid Config for project "' + name + '": ' + e.message);
+    }
+    
+    var dataSheet = dataSheetIndex >= 0 ? String(projectsData[i][dataSheetIndex]).trim() : '';
+    var promptsSheet = promptsSheetIndex >= 0 ? String(projectsData[i][promptsSheetIndex]).trim() : '';
+    
+    projects.push({
+      name: name,
+      dataSheet: dataSheet || String(config.DATA_SHEET || CONFIG_DEFAULTS.DATA_SHEET),
+      promptsSheet: promptsSheet || String(config.PROMPTS_SHEET || CONFIG_DEFAULTS.PROMPTS_SHEET),
+      config: config
+    });
+  }
+  
+  return projects;
+}
+
+/**
+ * Parses the Config overrides of a project, one "KEY: value" per line
+ * @param {string} definition - The Config cell
+ * @returns {Object} The values by Config key
+ */
+function parseProjectConfig(definition) {
+  var text = definition === null || definition === undefined ? '' : String(definition).trim();
+  var config = {};
+  if (!text) {
+    return config;
+  }
+  
+  var lines = text.split(/\r?\n/);
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+    if (!line) continue;
+    
+    var separatorIndex = line.indexOf(':');
+    if (separatorIndex <= 0) {
+      throw new Error('Expected "KEY: value" on line ' + (i + 1) + ' but found "' + line + '".');
+    }
+    
+    var key = line.substring(0, separatorIndex).trim();
+    var value = line.substring(separatorIndex + 1).trim();
+    if (!CONFIG_KEYS[key]) {
+      throw new Error('Unknown Config key "' + key + '" on line ' + (i + 1) + '.');
+    }
+    
+    // Numbers are stored as numbers, as they are in the Config sheet
+    config[key] = value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+  }
+  
+  return config;
+}
+
+function selectProject() {
+  var ui = SpreadsheetApp.getUi();
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var projects;
+  
+  try {
+    projects = getProjects();
+  } catch (e) {
+    showAlert('Invalid Projects Sheet', e.message);
+    return;
+  }
+  
+  if (projects.length === 0) {
+    var projectsSheet = ss.getSheetByName(PROJECTS_SHEET);
+    if (!projectsSheet) {
+      projectsSheet = ss.insertSheet(PROJECTS_SHEET);
+      projectsSheet.appendRow(PROJECTS_SHEET_COLUMNS);
+      projectsSheet.getRange(1, 1, 1, PROJECTS_SHEET_COLUMNS.length).setFontWeight('bold');
+      projectsSheet.setFrozenRows(1);
+    }
+    ss.setActiveSheet(projectsSheet);
+    
+    showAlert('No Projects', 
+             'Add one row per project to the Projects sheet: its name, Data Sheet, Prompts Sheet and optional Config ' + 
+             'overrides such as "DEFAULT_MODEL: gpt-4o", one per line. Then use Select Project again.');
+    return;
+  }
+  
+  var activeName = getActiveProjectName();
+  var response = ui.prompt('Select Project', 
+                          `Current project: ${activeName || '(default)'}\n\n` + 
+                          `Enter the project to work on, or leave it empty for the default Data and Prompts sheets:\n` + 
+                          projects.map(project => project.name).join(', '), 
+                          ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  
+  var projectName = response.getResponseText().trim();
+  if (projectName && !projects.some(project => project.name === projectName)) {
+    showAlert('Project Not Found', `No project named "${projectName}" was found in the Projects sheet.`);
+    return;
+  }
+  
+  if (projectName) {
+    PropertiesService.getScriptProperties().setProperty(ACTIVE_PROJECT_PROPERTY, projectName);
+  } else {
+    PropertiesService.getScriptProperties().deleteProperty(ACTIVE_PROJECT_PROPERTY);
+  }
+  currentProject = null;
+  
+  var project = getCurrentProject();
+  var missingSheets = [project.dataSheet, project.promptsSheet].filter(sheetName => !ss.getSheetByName(sheetName));
+  var dataSheet = ss.getSheetByName(project.dataSheet);
+  if (dataSheet) {
+    ss.setActiveSheet(dataSheet);
+  }
+  
+  showAlert('Project Selected', 
+           `Working on ${projectName ? 'the project "' + projectName + '"' : 'the default project'} ` + 
+           `with the sheets "${project.dataSheet}" and "${project.promptsSheet}".` + 
+           (missingSheets.length > 0 ? `\n\nThe sheet "${missingSheets.join('" and "')}" does not exist yet and is created on the first run.` : ''));
+}
+  
+/* ======== Alert and Logging Functions ======== */
+
+/**
+ * Shows an alert popup to the user, or a toast when running from a trigger
+ * where no UI is available
+ * @param {string} title - The alert title
+ * @param {string} message - The alert message
+ * @param {ButtonSet} buttons - The buttons to display (optional, defaults to ui.ButtonSet.OK)
+ */
+function showAlert(title, message, buttons) {
+  var ui = getUiIfAvailable();
+  if (ui) {
+    ui.alert(title, message, buttons || ui.ButtonSet.OK);
+  } else {
+    SpreadsheetApp.getActiveSpreadsheet().toast(message, title, 30);
+  }
+  // Also log the message for reference
+  Logger.log(`ALERT - ${title}: ${message}`);
+}
+
+/**
+ * Gets the spreadsheet UI, which is not available when running from a trigger
+ * @returns {Ui} The UI, or null if there is none
+ */
+function getUiIfAvailable() {
+  try {
+    return SpreadsheetApp.getUi();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Adds an entry to the Error Log sheet
+ * @param {Date} timestamp - When the error occurred
+ * @param {number} row - The row number in the Data sheet
+ * @param {string} errorType - Type of error
+ * @param {string} errorMessage - The error message
+ * @param {string} batchId - The batch ID (if applicable)
+ */
+function logError(timestamp, row, errorType, errorMessage, batchId = '') {
+  var errorSheet = getSheet('Error Log');
+  
+  // Add headers if the sheet is empty
+  if (errorSheet.getLastRow() === 0) {
+    errorSheet.appendRow([
+      "Timestamp",
+      "Row",
+      "Error Type",
+      "Error Message",
+      "Batch ID"
+    ]);
+    
+    // Format the header row
+    errorSheet.getRange(1, 1, 1, 5).setFontWeight('bold');
+    errorSheet.setFrozenRows(1);
+  }
+  
+  // Add the error entry
+  errorSheet.appendRow([
+    timestamp,
+    row,
+    errorType,
+    errorMessage,
+    batchId
+  ]);
+  
+  // Also log to the console for debugging
+  Logger.log(`ERROR - Row ${row}, Type: ${errorType}, Message: ${errorMessage}, Batch: ${batchId}`);
+}
+
+/**
+ * Adds an entry to the Execution Log sheet if debug mode is enabled
+ * @param {Date} timestamp - When the execution occurred
+ * @param {number} row - The row number in the Data sheet
+ * @param {string} model - The model used
+ * @param {string} promptName - The name of the prompt
+ * @param {string} responseContent - The response content received
+ * @param {number} inputTokens - Number of input tokens
+ * @param {number} outputTokens - Number of output tokens
+ * @param {number} totalTokens - Total tokens used
+ * @param {number} cost - The cost in USD
+ */
+function logExecution(timestamp, row, model, promptName, responseContent, inputTokens, outputTokens, totalTokens, cost) {
+  // Only log execution if debug mode is enabled
+  if (!isDebugModeEnabled()) {
+    return;
+  }
+  
+  var logSheet = getSheet('Execution Log');
+  
+  // Add headers if the sheet is empty
+  if (logSheet.getLastRow() === 0) {
+    logSheet.appendRow([
+      "Timestamp",
+      "Row",
+      "Model",
+      "Prompt Sent",
+      "Response Received",
+      "Input Tokens",
+      "Output Tokens",
+      "Total Tokens",
+      "Cost (USD)"
+    ]);
+    
+    // Format the header row
     logSheet.getRange(1, 1, 1, 9).setFontWeight('bold');
     logSheet.setFrozenRows(1);
   }
@@ -683,33 +1454,46 @@ function debugLog(message) {
 }
   
 /* ======== Main Function to Run Prompts ======== */
-function runPrompts(maxRows) {
-  var ui = SpreadsheetApp.getUi();
+/**
+ * Runs the active prompts on pending rows. Long runs stop before the Apps
+ * Script execution limit, save their progress in script properties and are
+ * continued by a time-based trigger (see continueBackgroundRun).
+ * @param {number} maxRows - The maximum number of rows to process
+ * @param {Object} resumeState - The saved progress when continuing a background run (optional)
+ * @param {Object} options - The rows to run (see findRowsToRun) and confirmCost: ask for confirmation of the estimated cost first (optional)
+ */
+function runPrompts(maxRows, resumeState, options) {
+  options = options || (resumeState && resumeState.options) || {};
   var apiKey = getApiKey();
   var seed = getSeed();
   
-  if (!apiKey) {
-    showAlert('Error', 'API key is missing. Please add it to the Config sheet.', ui.ButtonSet.OK);
+  if (!apiKey && getProvider().requiresApiKey) {
+    showAlert('Error', 'API key is missing. Please add it to the Config sheet.');
     return;
   }
   
   try {
-    // Record start time for this execution
-    var startTime = new Date();
-    var debugMode = isDebugModeEnabled();
+    // Record start time for this execution, and for the whole run when continuing one
+    var executionStartTime = new Date();
+    var startTime = resumeState ? new Date(resumeState.startTime) : executionStartTime;
     
     // Get active prompts using the getActivePrompts function
     var activePrompts = getActivePrompts();
     
     if (activePrompts.length === 0) {
-      showAlert('No Active Prompts', 'No active prompts found in the Prompts sheet.', ui.ButtonSet.OK);
+      showAlert('No Active Prompts', 'No active prompts found in the Prompts sheet.');
+      return;
+    }
+    
+    // Check the prompts before anything is sent, a continued run was checked when it started
+    if (!resumeState && !checkPromptsBeforeRun()) {
       return;
     }
     
     // Get data from the Data sheet
-    var dataSheet = getSheet('Data');
+    var dataSheet = getDataSheet();
     if (!dataSheet) {
-      showAlert('Error', 'Data sheet not found.', ui.ButtonSet.OK);
+      showAlert('Error', 'Data sheet not found.');
       return;
     }
     
@@ -735,79 +1519,161 @@ function runPrompts(maxRows) {
       headers.push('Status');
     }
     
-    // Find rows that need processing (status is 0 or empty)
-    var rowsToProcess = [];
-    for (var i = 1; i < dataRange.length && rowsToProcess.length < maxRows; i++) {
-      var status = dataRange[i][statusColIndex];
-      if (status === 0 || status === '' || status === null || status === undefined) {
-        rowsToProcess.push(i);
-      }
-    }
+    // Find rows that need processing, after the rows handled earlier in this run
+    var rowsToProcess = findRowsToRun(dataRange, options, activePrompts)
+      .filter(i => !resumeState || i >= resumeState.nextRowIndex)
+      .slice(0, maxRows);
     
-    if (rowsToProcess.length === 0) {
-      showAlert('No Data', 'No rows found that need processing.', ui.ButtonSet.OK);
+    if (rowsToProcess.length === 0 && !resumeState) {
+      showAlert('No Data', 'No rows found that need processing.');
       return;
     }
     
-    // Track metrics
-    var promptMetrics = {};
-    var totalProcessed = 0;
-    var totalErrors = 0;
+    // Let the user confirm the estimated cost, or send the rows in a batch instead
+    if (options.confirmCost && !resumeState) {
+      var choice = confirmCostEstimate(estimateRunCost(activePrompts, dataRange, rowsToProcess, { force: options.force }), rowsToProcess.length, true);
+      if (choice === 'batch') {
+        createBatchWithLock({ retryFailed: options.retryFailed, rows: options.rows, force: options.force });
+      }
+      if (choice !== 'run') {
+        return;
+      }
+    }
+    
+    // Create the output columns declared by prompt schemas up front
+    ensureOutputColumns(dataSheet, headers, activePrompts);
     
-    // Process each row
-    for (var i = 0; i < rowsToProcess.length; i++) {
-      var rowIndex = rowsToProcess[i];
-      var rowNumber = rowIndex + 1; // +1 for the actual row number in the sheet
+    // Track metrics, carrying over the totals of a continued run
+    var promptMetrics = resumeState ? resumeState.promptMetrics : {};
+    var totalProcessed = resumeState ? resumeState.totalProcessed : 0;
+    var totalErrors = resumeState ? resumeState.totalErrors : 0;
+    var totalSkipped = resumeState ? resumeState.totalSkipped || 0 : 0;
+    var abortError = null;
+    
+    // Rows are processed in chunks; every request in a chunk is sent in parallel
+    var throttle = createThrottle(getConcurrency());
+    var promptStages = groupPromptsByStage(activePrompts);
+    var largestStage = Math.max.apply(null, promptStages.map(stagePrompts => stagePrompts.length));
+    var chunkSize = Math.max(1, Math.ceil(throttle.maxConcurrency / largestStage));
+    
+    // Spending recorded before this run, to enforce the daily and monthly limits
+    var recordedSpend = getRecordedSpend();
+    var spendingCap = null;
+    
+    // Requests are not started after the execution budget, the rows they belong to continue in the background
+    var deadline = executionStartTime.getTime() + EXECUTION_TIME_BUDGET_MS;
+    var unprocessedRows = [];
+    
+    for (var chunkStart = 0; (chunkStart < rowsToProcess.length || unprocessedRows.length > 0) && !abortError; chunkStart += chunkSize) {
+      // Stop once a spending limit is reached, the remaining rows stay pending
+      spendingCap = findExceededSpendingCap(getMetricsCost(promptMetrics), recordedSpend);
+      if (spendingCap) {
+        break;
+      }
       
-      try {
-        // Mark the row as in progress (status = 1)
-        dataSheet.getRange(rowNumber, statusColIndex + 1).setValue(1);
+      // Stop cleanly before the execution limit and continue from the next row in a new execution
+      if (unprocessedRows.length > 0 || (chunkStart > 0 && new Date() - executionStartTime > EXECUTION_TIME_BUDGET_MS)) {
+        var remainingRows = unprocessedRows.concat(rowsToProcess.slice(chunkStart));
+        saveBackgroundRun({
+          startTime: startTime.toISOString(),
+          nextRowIndex: remainingRows[0],
+          maxRows: isFinite(maxRows) ? maxRows - (chunkStart - unprocessedRows.length) : null,
+          promptMetrics: promptMetrics,
+          totalProcessed: totalProcessed,
+          totalErrors: totalErrors,
+          totalSkipped: totalSkipped,
+          // Only the chosen rows that are left are saved, so the saved progress shrinks as the run goes on
+          options: options.rows ? Object.assign({}, options, { rows: toRowRanges(remainingRows) }) : options,
+          project: getCurrentProject().name
+        });
+        showAlert('Continuing in Background', 
+                 `Processed ${totalProcessed} prompts so far. The remaining rows will be processed in the background, ` +
+                 `you will see a summary when the run is complete. Use "Stop Background Run" to stop it.`);
+        return;
+      }
+      
+      var chunkRows = rowsToProcess.slice(chunkStart, chunkStart + chunkSize);
+      
+      // The first error of each failed row, the failed and skipped prompts of each row and the rows left untouched because the run stopped
+      var failedRows = {};
+      var failedPrompts = {};
+      var skippedPrompts = {};
+      var abortedRows = {};
+      var deadlineReached = false;
+      
+      // Only the prompts that are missing or changed run on a processed row, the prompts left out keep their Skipped Prompts entry
+      var promptsToRun = {};
+      var completedPrompts = {};
+      for (var i = 0; i < chunkRows.length; i++) {
+        var rowIndex = chunkRows[i];
+        promptsToRun[rowIndex] = findPromptsToRun(activePrompts, headers, dataRange[rowIndex], options.force);
+        skippedPrompts[rowIndex] = getRecordedSkippedPrompts(headers, dataRange[rowIndex])
+          .filter(name => promptsToRun[rowIndex].indexOf(name) < 0);
+        completedPrompts[rowIndex] = [];
+      }
+      
+      // Stages run one after another so that later prompts see the outputs of earlier ones
+      for (var stage = 0; stage < promptStages.length && !abortError && !deadlineReached; stage++) {
+        var tasks = [];
         
-        // Process each active prompt for this row
-        for (var j = 0; j < activePrompts.length; j++) {
-          var prompt = activePrompts[j];
-          var promptName = prompt.name;
-          var promptTemplate = prompt.text;
-          var model = prompt.model;
-          var temperature = prompt.temperature;
-          var max_tokens = prompt.max_tokens;
+        // Build the request for every prompt of the stage for every row in the chunk
+        for (var i = 0; i < chunkRows.length; i++) {
+          var rowIndex = chunkRows[i];
           
-          try {
-            // Replace placeholders in the prompt template
-            var promptText = promptTemplate;
+          for (var j = 0; j < promptStages[stage].length; j++) {
+            var prompt = promptStages[stage][j];
             
-            // Find all placeholders in the format {{Column Name}}
-            var placeholders = promptTemplate.match(/\{\{([^}]+)\}\}/g) || [];
+            // Skip prompts that are up to date for the row, and prompts whose input could not be generated
+            if (promptsToRun[rowIndex].indexOf(prompt.name) < 0 || 
+                prompt.dependsOn.some(name => failedPrompts[rowIndex] && failedPrompts[rowIndex][name])) {
+              continue;
+            }
             
-            for (var k = 0; k < placeholders.length; k++) {
-              var placeholder = placeholders[k];
-              var columnName = placeholder.substring(2, placeholder.length - 2).trim();
-              
-              // Find the column index
-              var columnIndex = -1;
-              for (var l = 0; l < headers.length; l++) {
-                var header = headers[l];
-                if (header === null || header === undefined) continue;
-                
-                var headerStr = String(header); // Safely convert to string
-                if (headerStr === columnName) {
-                  columnIndex = l;
-                  break;
-                }
-              }
-              
-              if (columnIndex >= 0) {
-                var cellValue = dataRange[rowIndex][columnIndex] || '';
-                promptText = promptText.replace(placeholder, cellValue);
-              }
+            // Skip prompts whose condition is not met for the row, with the outputs of earlier stages
+            if (isPromptSkipped(prompt, headers, dataRange[rowIndex], skippedPrompts[rowIndex])) {
+              skippedPrompts[rowIndex].push(prompt.name);
+              completedPrompts[rowIndex].push(prompt.name);
+              totalSkipped++;
+              continue;
             }
             
-            // Call the OpenAI API
-            var apiCallStartTime = new Date();
-            var response = callOpenAI(apiKey, model, promptText, temperature, max_tokens, seed);
-            var apiCallEndTime = new Date();
-            var apiCallDuration = (apiCallEndTime - apiCallStartTime) / 1000; // Duration in seconds
+            // Replace placeholders in the prompt and system prompt templates
+            var request = buildPromptRequest(prompt, headers, dataRange[rowIndex], seed);
+            var cacheKey = getRequestCacheKey(request);
+            
+            tasks.push({
+              rowIndex: rowIndex,
+              prompt: prompt,
+              request: request,
+              cacheKey: cacheKey,
+              // Rows run again on purpose get a fresh response
+              cachedResponse: options.force ? null : getCachedResponse(cacheKey)
+            });
+          }
+        }
+        
+        // Call the API for the whole chunk, identical requests answered before come from the cache
+        executeChatTasks(tasks.filter(task => !task.cachedResponse), throttle, deadline);
+        
+        for (var t = 0; t < tasks.length; t++) {
+          var task = tasks[t];
+          var rowNumber = task.rowIndex + 1; // +1 for the actual row number in the sheet
+          var promptName = task.prompt.name;
+          var model = task.prompt.model;
+          
+          // Requests left unsent at the deadline keep their row pending
+          if (task.unprocessed) {
+            abortedRows[task.rowIndex] = true;
+            deadlineReached = true;
+            continue;
+          }
+          
+          try {
+            if (task.error) {
+              throw task.error;
+            }
             
+            var response = task.cachedResponse ? createCachedChatResult(task.cachedResponse) : task.result;
             var responseText = response.text;
             var parsedResponse = response.parsedJson;
             var inputTokens = response.inputTokens;
@@ -825,7 +1691,8 @@ function runPrompts(maxRows) {
                 cost: 0,
                 model: model,
                 duration: 0,
-                cachedTokens: 0
+                cachedTokens: 0,
+                cacheHits: 0
               };
             }
             
@@ -834,11 +1701,26 @@ function runPrompts(maxRows) {
             promptMetrics[promptName].outputTokens += outputTokens;
             promptMetrics[promptName].totalTokens += totalTokens;
             promptMetrics[promptName].cost += cost;
-            promptMetrics[promptName].duration += apiCallDuration;
+            promptMetrics[promptName].duration += task.duration || 0;
             promptMetrics[promptName].cachedTokens += response.cachedTokens || 0;
+            promptMetrics[promptName].cacheHits = (promptMetrics[promptName].cacheHits || 0) + (task.cachedResponse ? 1 : 0);
+            
+            // Reject responses that do not match the prompt's schema
+            var schemaErrors = validatePromptResponse(parsedResponse, task.prompt);
+            if (schemaErrors.length > 0) {
+              logError(new Date(), rowNumber, 'Schema Validation', `Response for ${promptName} does not match the schema: ${schemaErrors.join('; ')}`, '');
+              failedRows[task.rowIndex] = failedRows[task.rowIndex] || `Schema Validation (${promptName}): ${schemaErrors[0]}`;
+              failedPrompts[task.rowIndex] = failedPrompts[task.rowIndex] || {};
+              failedPrompts[task.rowIndex][promptName] = true;
+              totalErrors++;
+              continue;
+            }
             
-            // Save response to the Data sheet
-            saveResponseToDataSheet(dataSheet, headers, rowIndex, parsedResponse, promptName);
+            // Save response to the Data sheet, and to the row values used by later stages
+            saveResponseToDataSheet(dataSheet, headers, task.rowIndex, parsedResponse, promptName, dataRange[task.rowIndex], task.prompt);
+            if (!task.cachedResponse) {
+              cacheResponse(task.cacheKey, model, parsedResponse);
+            }
             
             // Log execution
             logExecution(
@@ -853,300 +1735,3809 @@ function runPrompts(maxRows) {
               cost
             );
             
+            completedPrompts[task.rowIndex].push(promptName);
             totalProcessed++;
           } catch (e) {
-            logError(new Date(), rowNumber, 'Error processing', `Error processing ${promptName}: ${e.toString()}`, '');
+            logError(new Date(), rowNumber, e.errorType || 'Error processing', `Error processing ${promptName}: ${e.toString()}`, '');
             totalErrors++;
+            
+            // Every remaining request would fail the same way, so the row is not to blame
+            if (e.errorType === 'Invalid API Key' || e.errorType === 'Insufficient Quota') {
+              abortError = abortError || e;
+              abortedRows[task.rowIndex] = true;
+            } else {
+              failedRows[task.rowIndex] = failedRows[task.rowIndex] || `${e.errorType || 'Error'} (${promptName}): ${e.message}`;
+            }
+            failedPrompts[task.rowIndex] = failedPrompts[task.rowIndex] || {};
+            failedPrompts[task.rowIndex][promptName] = true;
           }
         }
+      }
+      
+      // Later stages were not run when the run stopped early
+      if (stage < promptStages.length) {
+        for (var i = 0; i < chunkRows.length; i++) {
+          abortedRows[chunkRows[i]] = abortedRows[chunkRows[i]] || !failedRows[chunkRows[i]];
+        }
+      }
+      
+      // The rows cut off by the deadline continue in the background, ahead of the rows not reached yet
+      if (deadlineReached) {
+        unprocessedRows = chunkRows.filter(rowIndex => abortedRows[rowIndex]);
+      }
+      
+      // Mark the rows as completed (status = 1 for non batch mode) or failed, aborted rows keep their status
+      for (var i = 0; i < chunkRows.length; i++) {
+        var rowIndex = chunkRows[i];
+        if (abortedRows[rowIndex]) continue;
         
-        // Mark the row as completed (status = 1 for non batch mode)
-        dataSheet.getRange(rowNumber, statusColIndex + 1).setValue(1);
-      } catch (e) {
-        logError(new Date(), rowNumber, 'Error processing', `Error processing row ${rowNumber}: ${e.toString()}`, '');
-        totalErrors++;
+        recordSkippedPrompts(dataSheet, headers, rowIndex + 1, skippedPrompts[rowIndex]);
+        
+        // Record the versions of the prompts that ran, failed prompts have to run again
+        var versionChanges = createPromptVersionChanges(activePrompts, completedPrompts[rowIndex]);
+        for (var promptName in failedPrompts[rowIndex] || {}) {
+          versionChanges[promptName] = null;
+        }
+        updatePromptVersions(dataSheet, headers, rowIndex + 1, dataRange[rowIndex], activePrompts, versionChanges);
+        
+        if (failedRows[rowIndex]) {
+          markRowFailed(dataSheet, headers, rowIndex + 1, failedRows[rowIndex]);
+        } else {
+          dataSheet.getRange(rowIndex + 1, statusColIndex + 1).setValue(1);
+          clearRowError(dataSheet, headers, rowIndex + 1);
+        }
       }
     }
     
-    // Record end time and calculate duration
-    var endTime = new Date();
-    var executionDuration = (endTime - startTime) / 1000; // Duration in seconds
+    // The run is over, so forget any saved progress
+    clearBackgroundRun();
     
     // Add summary entries for each prompt
-    if (Object.keys(promptMetrics).length > 0) {
-      for (var promptName in promptMetrics) {
-        var metrics = promptMetrics[promptName];
-        addPromptSummary(
-          startTime,
-          endTime,
-          metrics.duration,
-          promptName,
-          metrics.count,
-          metrics.inputTokens,
-          metrics.outputTokens,
-          metrics.cost,
-          metrics.cachedTokens || 0
-        );
-      }
+    addRunSummary(startTime, new Date(), promptMetrics);
+    
+    if (abortError) {
+      showAlert('Processing Stopped', 
+               `Processed ${totalProcessed} prompts with ${totalErrors} errors before stopping.\n\n${abortError.errorType}: ${abortError.message}`);
+      return;
+    }
+    
+    if (spendingCap) {
+      showAlert('Spending Limit Reached', 
+               `Processed ${totalProcessed} prompts with ${totalErrors} errors before stopping.\n\n` + 
+               `The cost of ${spendingCap.period} reached ${formatCost(spendingCap.spent)}, the limit set by ${spendingCap.key} is ${formatCost(spendingCap.limit)}. ` + 
+               `The remaining rows are still pending.`);
+      return;
     }
     
     showAlert('Processing Complete', 
-             `Processed ${totalProcessed} prompts with ${totalErrors} errors.`, 
-             ui.ButtonSet.OK);
+             `Processed ${totalProcessed} prompts with ${totalErrors} errors.` + 
+             (totalSkipped > 0 ? ` Skipped ${totalSkipped} prompts whose condition was not met.` : '') + 
+             (totalErrors > 0 ? `\n\nRows with errors are marked with Status ${ROW_ERROR_STATUS}, use "Retry Failed Rows" to run them again.` : ''));
   } catch (e) {
     debugLog('Error running prompts: ' + e.toString());
-    showAlert('Error', 'Failed to run prompts: ' + e.toString(), ui.ButtonSet.OK);
+    clearBackgroundRun();
+    
+    // Keep the cost of the requests that were already sent
+    if (promptMetrics) {
+      addRunSummary(startTime, new Date(), promptMetrics);
+    }
+    showAlert('Error', 'Failed to run prompts: ' + e.toString());
+  }
+}
+  
+/* ======== Background Run Functions ======== */
+
+// Apps Script stops executions after 6 minutes, so runs pause with time to spare
+const EXECUTION_TIME_BUDGET_MS = 4.5 * 60 * 1000;
+const CONTINUATION_DELAY_MS = 60 * 1000;
+const BACKGROUND_RUN_PROPERTY = 'BACKGROUND_RUN';
+
+// A Script Property holds at most 9 KB, most of which may go to the rows chosen for a run
+const BACKGROUND_RUN_MAX_LENGTH = 9000;
+const BACKGROUND_RUN_MAX_ROWS_LENGTH = 6000;
+
+/**
+ * Saves the progress of a run and schedules its continuation
+ * @param {Object} state - The progress: startTime, nextRowIndex, maxRows, promptMetrics, totalProcessed, totalErrors, totalSkipped, options and project
+ */
+function saveBackgroundRun(state) {
+  var stateJson = JSON.stringify(state);
+  if (stateJson.length > BACKGROUND_RUN_MAX_LENGTH) {
+    throw new Error(`The progress of the run is too large to continue it in the background (${stateJson.length} characters). ` + 
+                    `The rows processed so far are kept, run the remaining rows in smaller parts.`);
+  }
+  PropertiesService.getScriptProperties().setProperty(BACKGROUND_RUN_PROPERTY, stateJson);
+  
+  deleteTriggersForFunction('continueBackgroundRun');
+  ScriptApp.newTrigger('continueBackgroundRun')
+    .timeBased()
+    .after(CONTINUATION_DELAY_MS)
+    .create();
+  
+  debugLog(`Saved background run progress, continuing from row ${state.nextRowIndex + 1}`);
+}
+
+/**
+ * Gets the saved progress of a background run
+ * @returns {Object} The progress, or null if no run is in progress
+ */
+function getBackgroundRun() {
+  var state = PropertiesService.getScriptProperties().getProperty(BACKGROUND_RUN_PROPERTY);
+  return state ? JSON.parse(state) : null;
+}
+
+/**
+ * Removes the saved progress and the continuation trigger
+ */
+function clearBackgroundRun() {
+  PropertiesService.getScriptProperties().deleteProperty(BACKGROUND_RUN_PROPERTY);
+  deleteTriggersForFunction('continueBackgroundRun');
+}
+
+/**
+ * Tells the user when a background run is still in progress
+ * @returns {boolean} True if a background run is in progress
+ */
+function isBackgroundRunActive() {
+  if (!getBackgroundRun()) {
+    return false;
+  }
+  
+  showAlert('Background Run in Progress', 
+           'A run is still processing rows in the background. Wait for it to complete or use "Stop Background Run" first.');
+  return true;
+}
+
+/**
+ * Continues a saved run. Called by the time-based trigger created in saveBackgroundRun.
+ */
+function continueBackgroundRun() {
+  deleteTriggersForFunction('continueBackgroundRun');
+  
+  var state = getBackgroundRun();
+  if (!state) {
+    Logger.log("No background run to continue");
+    return;
+  }
+  
+  // The run continues on its own project, even if another one was selected since
+  runInProject(state.project || '', () => runPrompts(state.maxRows === null ? Infinity : state.maxRows, state));
+}
+
+/**
+ * Stops a background run and records the cost of the rows processed so far
+ */
+function stopBackgroundRun() {
+  var state = getBackgroundRun();
+  if (!state) {
+    showAlert('No Background Run', 'There is no run in progress in the background.');
+    return;
+  }
+  
+  clearBackgroundRun();
+  addRunSummary(new Date(state.startTime), new Date(), state.promptMetrics);
+  
+  showAlert('Background Run Stopped', 
+           `Processed ${state.totalProcessed} prompts with ${state.totalErrors} errors before stopping. ` +
+           `Rows that were not processed are still pending.`);
+}
+
+/**
+ * Deletes the project triggers that call the given function
+ * @param {string} functionName - The handler function name
+ */
+function deleteTriggersForFunction(functionName) {
+  var triggers = ScriptApp.getProjectTriggers();
+  for (var i = 0; i < triggers.length; i++) {
+    if (triggers[i].getHandlerFunction() === functionName) {
+      ScriptApp.deleteTrigger(triggers[i]);
+    }
+  }
+}
+  
+/* ======== Cost Summary Functions ======== */
+
+/**
+ * Adds a Cost Summary entry for every prompt in a realtime run
+ * @param {Date} startTime - When the run started
+ * @param {Date} endTime - When the run ended
+ * @param {Object} promptMetrics - The metrics per prompt name
+ */
+function addRunSummary(startTime, endTime, promptMetrics) {
+  for (var promptName in promptMetrics) {
+    var metrics = promptMetrics[promptName];
+    addPromptSummary(
+      startTime,
+      endTime,
+      metrics.duration,
+      promptName,
+      metrics.count,
+      metrics.inputTokens,
+      metrics.outputTokens,
+      metrics.cost,
+      metrics.cachedTokens || 0,
+      metrics.cacheHits || 0,
+      getPricingWarning(metrics.model)
+    );
+  }
+}
+
+function addPromptSummary(startTime, endTime, durationSeconds, promptName, rowsExecuted, inputTokens, outputTokens, cost, cachedTokens = 0, cacheHits = 0, notes = '') {
+  var costSummarySheet = getSheet('Cost Summary');
+  
+  // Initialize headers if sheet is empty
+  if (costSummarySheet.getLastRow() === 0) {
+    costSummarySheet.appendRow([
+      "Date", 
+      "Start Time", 
+      "End Time", 
+      "Duration (sec)", 
+      "Prompt Title", 
+      "No. of Rows Executed", 
+      "Total Input Tokens", 
+      "Cached Tokens",
+      "Total Output Tokens", 
+      "Total Tokens", 
+      "Total Cost (USD)",
+      "Cache Hits",
+      "Notes"
+    ]);
+  }
+  
+  // Format date and times
+  var dateStr = Utilities.formatDate(startTime, Session.getScriptTimeZone(), "yyyy-MM-dd");
+  var startTimeStr = Utilities.formatDate(startTime, Session.getScriptTimeZone(), "HH:mm:ss");
+  var endTimeStr = Utilities.formatDate(endTime, Session.getScriptTimeZone(), "HH:mm:ss");
+  
+  // Add new row for this prompt execution
+  costSummarySheet.appendRow([
+    dateStr,
+    startTimeStr,
+    endTimeStr,
+    durationSeconds.toFixed(1),
+    promptName,
+    rowsExecuted,
+    inputTokens,
+    cachedTokens,
+    outputTokens,
+    inputTokens + outputTokens,
+    cost.toFixed(6)
+  ]);
+  
+  // Format the cost column as currency
+  var lastRow = costSummarySheet.getLastRow();
+  costSummarySheet.getRange(lastRow, 11).setNumberFormat("$0.000000");
+  
+  // Format the duration as number with 1 decimal place
+  costSummarySheet.getRange(lastRow, 4).setNumberFormat("0.0");
+  
+  // Sheets created before the Cache Hits and Notes columns get them added
+  var headers = costSummarySheet.getRange(1, 1, 1, costSummarySheet.getLastColumn()).getValues()[0];
+  var cacheHitsColIndex = getOrAddColumn(costSummarySheet, headers, "Cache Hits");
+  costSummarySheet.getRange(lastRow, cacheHitsColIndex + 1).setValue(cacheHits);
+  
+  // Warn about guessed prices
+  if (notes) {
+    var notesColIndex = getOrAddColumn(costSummarySheet, headers, "Notes");
+    costSummarySheet.getRange(lastRow, notesColIndex + 1).setValue(notes);
+  }
+}
+  
+/* ======== Save Cleaned Response to Data Sheet ======== */
+/**
+ * Writes each key of a response to its "Prompt Name - Key" column
+ * @param {Sheet} sheet - The Data sheet
+ * @param {Array} headers - The header row, updated when columns are added
+ * @param {number} rowIndex - The 0-based row index in the Data sheet
+ * @param {Object|string} response - The parsed response
+ * @param {string} promptName - The prompt name
+ * @param {Array} rowData - The row values to keep in sync with the sheet (optional)
+ * @param {Object} prompt - The prompt from getActivePrompts (optional, for the output mode and flattening)
+ */
+function saveResponseToDataSheet(sheet, headers, rowIndex, response, promptName, rowData, prompt) {
+  try {
+    var columns = getResponseColumns(response, promptName, prompt);
+
+    for (var colName in columns) {
+      var colIndex = headers.indexOf(colName);
+
+      // If the column does not exist, create it
+      if (colIndex < 0) {
+        colIndex = addOutputColumn(sheet, headers, colName, promptName);
+      }
+
+      // Write response data to the correct cell in the row
+      sheet.getRange(rowIndex + 1, colIndex + 1).setValue(columns[colName]);
+      if (rowData) {
+        rowData[colIndex] = columns[colName];
+      }
+    }
+  } catch (e) {
+    debugLog("Error processing response: " + e);
+    logError(new Date(), rowIndex, 'Error processing response', `Error processing response: ${e.toString()}`, '');
+  }
+}
+  
+/* ======== Row Error Functions ======== */
+
+// Status of Data rows whose last run failed; the reason is kept in the Error column
+const ROW_ERROR_STATUS = 'E';
+const MAX_ROW_ERROR_LENGTH = 250;
+
+/**
+ * Gets the index of a Data sheet column, adding the column if it doesn't exist
+ * @param {Sheet} sheet - The Data sheet
+ * @param {Array} headers - The header row, updated when the column is added
+ * @param {string} name - The column name
+ * @returns {number} The 0-based column index
+ */
+function getOrAddColumn(sheet, headers, name) {
+  var colIndex = headers.indexOf(name);
+  if (colIndex < 0) {
+    colIndex = headers.length;
+    sheet.getRange(1, colIndex + 1).setValue(name);
+    headers.push(name);
+  }
+  return colIndex;
+}
+
+/**
+ * Marks a Data row as failed: sets its Status to E, stores the reason in the
+ * Error column and adds one to its Failures count
+ * @param {Sheet} sheet - The Data sheet
+ * @param {Array} headers - The header row
+ * @param {number} rowNumber - The row number in the Data sheet
+ * @param {string} reason - A short description of the error
+ */
+function markRowFailed(sheet, headers, rowNumber, reason) {
+  var statusColIndex = getOrAddColumn(sheet, headers, 'Status');
+  var errorColIndex = getOrAddColumn(sheet, headers, 'Error');
+  var failuresColIndex = getOrAddColumn(sheet, headers, 'Failures');
+  
+  var failures = Number(sheet.getRange(rowNumber, failuresColIndex + 1).getValue()) || 0;
+  
+  sheet.getRange(rowNumber, statusColIndex + 1).setValue(ROW_ERROR_STATUS);
+  sheet.getRange(rowNumber, errorColIndex + 1).setValue(String(reason).substring(0, MAX_ROW_ERROR_LENGTH));
+  sheet.getRange(rowNumber, failuresColIndex + 1).setValue(failures + 1);
+}
+
+/**
+ * Clears the error of a Data row that has been processed successfully. The
+ * Failures count is kept so repeated failures stay visible.
+ * @param {Sheet} sheet - The Data sheet
+ * @param {Array} headers - The header row
+ * @param {number} rowNumber - The row number in the Data sheet
+ */
+function clearRowError(sheet, headers, rowNumber) {
+  var errorColIndex = headers.indexOf('Error');
+  if (errorColIndex >= 0) {
+    sheet.getRange(rowNumber, errorColIndex + 1).setValue('');
+  }
+}
+
+/**
+ * Finds the failed Data rows that have fewer than MAX_ATTEMPTS failures
+ * @param {Array} dataRange - The Data sheet values including the header row
+ * @returns {Array} The indexes of the failed rows in dataRange
+ */
+function findFailedRows(dataRange) {
+  var headers = dataRange[0];
+  var statusColIndex = headers.indexOf('Status');
+  var failuresColIndex = headers.indexOf('Failures');
+  var maxAttempts = getMaxAttempts();
+  var rowIndexes = [];
+  
+  if (statusColIndex < 0) {
+    return rowIndexes;
+  }
+  
+  for (var i = 1; i < dataRange.length; i++) {
+    var failures = failuresColIndex >= 0 ? Number(dataRange[i][failuresColIndex]) || 0 : 0;
+    if (dataRange[i][statusColIndex] === ROW_ERROR_STATUS && failures < maxAttempts) {
+      rowIndexes.push(i);
+    }
+  }
+  
+  return rowIndexes;
+}
+
+/* ======== Row Selection Functions ======== */
+
+/**
+ * Finds the Data rows a run or batch works on: the pending rows (Status empty
+ * or 0) and the processed rows with prompts that are missing or changed (see
+ * findPromptsToRun), or the failed rows when retrying, limited to the chosen rows if any.
+ * Rows waiting for a batch are only included when the chosen rows are forced.
+ * @param {Array} dataRange - The Data sheet values including the header row
+ * @param {Object} options - retryFailed: the failed rows instead of the pending ones,
+ *                           rows: the chosen rows as [first, last] index ranges,
+ *                           force: every chosen row whatever its Status (optional)
+ * @param {Array} prompts - The prompts from getActivePrompts
+ * @returns {Array} The indexes of the rows in dataRange
+ */
+function findRowsToRun(dataRange, options, prompts) {
+  options = options || {};
+  var headers = dataRange[0];
+  var statusColIndex = headers.indexOf('Status');
+  var failedRowIndexes = options.retryFailed ? findFailedRows(dataRange) : null;
+  var chosenRows = null;
+  var rowIndexes = [];
+  
+  if (options.rows) {
+    chosenRows = {};
+    options.rows.forEach(range => {
+      for (var i = range[0]; i <= range[1]; i++) {
+        chosenRows[i] = true;
+      }
+    });
+  }
+  
+  for (var i = 1; i < dataRange.length; i++) {
+    if (chosenRows && !chosenRows[i]) continue;
+    
+    // Rows waiting for a batch are left alone until its results are processed
+    if (isRowWaitingForBatch(headers, dataRange[i]) && !(chosenRows && options.force)) continue;
+    
+    var status = statusColIndex >= 0 ? dataRange[i][statusColIndex] : '';
+    var isPending = isPendingStatus(status) || 
+      (status !== ROW_ERROR_STATUS && findPromptsToRun(prompts, headers, dataRange[i]).length > 0);
+    if ((chosenRows && options.force) || (failedRowIndexes ? failedRowIndexes.indexOf(i) >= 0 : isPending)) {
+      rowIndexes.push(i);
+    }
+  }
+  
+  return rowIndexes;
+}
+
+/**
+ * Checks if a Status marks a row that has not been run yet
+ * @param {*} status - The Status value
+ * @returns {boolean} True for an empty Status or 0
+ */
+function isPendingStatus(status) {
+  return status === 0 || status === '' || status === null || status === undefined;
+}
+
+/**
+ * Checks if a row waits for the results of a batch. Rows uploaded by earlier
+ * versions have Status 1, a Batch ID and no recorded prompt versions.
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @returns {boolean} True while the row is in a batch that has not been processed
+ */
+function isRowWaitingForBatch(headers, rowData) {
+  var statusColIndex = headers.indexOf('Status');
+  var status = statusColIndex >= 0 ? rowData[statusColIndex] : '';
+  if (status === ROW_BATCH_STATUS) {
+    return true;
+  }
+  
+  var batchIdColIndex = headers.indexOf('Batch ID');
+  var versionsColIndex = headers.indexOf(PROMPT_VERSIONS_COLUMN);
+  return status === 1 && batchIdColIndex >= 0 && !!rowData[batchIdColIndex] && 
+    !(versionsColIndex >= 0 && rowData[versionsColIndex]);
+}
+
+/**
+ * Compresses row indexes into [first, last] ranges, which keeps the chosen rows
+ * of a background run small when they are next to each other
+ * @param {Array} rowIndexes - The row indexes in ascending order
+ * @returns {Array} The ranges
+ */
+function toRowRanges(rowIndexes) {
+  var ranges = [];
+  
+  for (var i = 0; i < rowIndexes.length; i++) {
+    var last = ranges[ranges.length - 1];
+    if (last && rowIndexes[i] === last[1] + 1) {
+      last[1] = rowIndexes[i];
+    } else {
+      ranges.push([rowIndexes[i], rowIndexes[i]]);
+    }
+  }
+  
+  return ranges;
+}
+
+/**
+ * Gets the Data rows in the active selection, which can span several ranges
+ * @returns {Array} The row indexes in ascending order, or null after telling the user there are none
+ */
+function getSelectedRowIndexes() {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var dataSheet = getDataSheet();
+  var rangeList = ss.getActiveSheet().getName() === dataSheet.getName() ? ss.getActiveRangeList() : null;
+  var lastRow = dataSheet.getLastRow();
+  var rowNumbers = {};
+  
+  (rangeList ? rangeList.getRanges() : []).forEach(range => {
+    for (var row = Math.max(2, range.getRow()); row <= Math.min(range.getLastRow(), lastRow); row++) {
+      rowNumbers[row] = true;
+    }
+  });
+  
+  var rowIndexes = Object.keys(rowNumbers).map(row => Number(row) - 1).sort((a, b) => a - b);
+  if (rowIndexes.length === 0) {
+    showAlert('No Rows Selected', `Select the rows to run in the "${dataSheet.getName()}" sheet first.`);
+    return null;
+  }
+  
+  return rowIndexes;
+}
+
+/**
+ * Gets the Data rows that the filter of the Data sheet shows
+ * @returns {Array} The row indexes in ascending order, or null after telling the user there are none
+ */
+function getFilteredRowIndexes() {
+  var dataSheet = getDataSheet();
+  var filter = dataSheet.getFilter();
+  if (!filter) {
+    showAlert('No Filter', `The "${dataSheet.getName()}" sheet has no filter. Create one with Data -> Create a filter first.`);
+    return null;
+  }
+  
+  // Only the rows under the filter header can be hidden by it, the others are shown without checking each one
+  var filterRange = filter.getRange();
+  var firstFilterRow = filterRange.getRow() + 1;
+  var lastFilterRow = filterRange.getLastRow();
+  var lastRow = dataSheet.getLastRow();
+  var rowIndexes = [];
+  for (var row = 2; row <= lastRow; row++) {
+    if (row < firstFilterRow || row > lastFilterRow || !dataSheet.isRowHiddenByFilter(row)) {
+      rowIndexes.push(row - 1);
+    }
+  }
+  
+  if (rowIndexes.length === 0) {
+    showAlert('No Rows Visible', 'The filter hides every row.');
+    return null;
+  }
+  
+  return rowIndexes;
+}
+
+/**
+ * Asks for a condition, written like the Condition of a prompt, and gets the Data rows that match it
+ * @returns {Array} The row indexes in ascending order, or null when cancelled or nothing matches
+ */
+function getMatchingRowIndexes() {
+  var ui = SpreadsheetApp.getUi();
+  var response = ui.prompt('Run for Matching Rows', 
+                          'Enter the condition the rows must match, for example:\n' + 
+                          '{{Industry}} == "Retail" && not_empty({{Website}})', 
+                          ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return null;
+  
+  var conditionText = response.getResponseText().trim();
+  var condition;
+  try {
+    condition = parseCondition(conditionText);
+  } catch (e) {
+    showAlert('Invalid Condition', e.message);
+    return null;
+  }
+  
+  var dataRange = getDataSheet().getDataRange().getValues();
+  var headers = dataRange[0];
+  var rowIndexes = [];
+  for (var i = 1; i < dataRange.length; i++) {
+    if (isConditionTrue(evaluateCondition(condition, headers, dataRange[i]))) {
+      rowIndexes.push(i);
+    }
+  }
+  
+  if (rowIndexes.length === 0) {
+    showAlert('No Matching Rows', `No rows match ${conditionText}.`);
+    return null;
+  }
+  
+  return rowIndexes;
+}
+
+/* ======== Prompt Version Functions ======== */
+
+// Hidden Data column with a "Prompt Name: version" line for every prompt that ran on
+// the row. Batches mark the prompts they will run as "(queued)" until their results
+// are processed.
+const PROMPT_VERSIONS_COLUMN = 'Prompt Versions';
+
+/**
+ * Computes the version of a prompt from its Prompts sheet row, so a prompt that
+ * is edited counts as changed on the rows it ran on before. Config defaults such
+ * as DEFAULT_MODEL are left out, changing them does not run every prompt again.
+ * @param {Object} prompt - The prompt from getActivePrompts
+ * @param {Object} sheetSettings - The systemPrompt, model, temperature, max_tokens and maxDepth cells of the prompt, empty where the Config default applies
+ * @returns {string} The first 8 hex characters of the SHA-256 hash
+ */
+function getPromptVersion(prompt, sheetSettings) {
+  var versionData = JSON.stringify([
+    prompt.text,
+    sheetSettings.systemPrompt,
+    sheetSettings.model,
+    sheetSettings.temperature,
+    sheetSettings.max_tokens,
+    prompt.schema,
+    prompt.outputMode,
+    sheetSettings.maxDepth,
+    prompt.outputMapping,
+    prompt.conditionText
+  ]);
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, versionData, Utilities.Charset.UTF_8);
+  return digest.slice(0, 4).map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Parses a Prompt Versions cell
+ * @param {string} value - The cell value
+ * @returns {Object} The version and whether it is queued, by prompt name
+ */
+function parsePromptVersions(value) {
+  var versions = {};
+  String(value || '').split('\n').forEach(line => {
+    var match = line.match(/^(.+): ([0-9a-f]{8})( \(queued\))?$/);
+    if (match) {
+      versions[match[1]] = { version: match[2], queued: !!match[3] };
+    }
+  });
+  return versions;
+}
+
+/**
+ * Formats prompt versions for the Prompt Versions cell
+ * @param {Object} versions - The versions by prompt name, see parsePromptVersions
+ * @returns {string} The cell value
+ */
+function formatPromptVersions(versions) {
+  return Object.keys(versions)
+    .map(name => `${name}: ${versions[name].version}${versions[name].queued ? ' (queued)' : ''}`)
+    .join('\n');
+}
+
+/**
+ * Gets the prompt versions recorded for a row. Rows processed before versions
+ * were recorded have the current version of every prompt that filled one of its
+ * output columns or was skipped; while such a row waits for a batch, its other
+ * prompts count as queued. Rows without any output, such as rows given a Status
+ * by hand to leave them out, have every prompt up to date. Failed rows without
+ * recorded versions, such as rows on which every prompt failed, have none.
+ * @param {Array} prompts - The prompts from getActivePrompts
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @returns {Object} The versions by prompt name, see parsePromptVersions
+ */
+function getRowPromptVersions(prompts, headers, rowData) {
+  var versionsColIndex = headers.indexOf(PROMPT_VERSIONS_COLUMN);
+  if (versionsColIndex >= 0 && rowData[versionsColIndex]) {
+    return parsePromptVersions(rowData[versionsColIndex]);
+  }
+  
+  var statusColIndex = headers.indexOf('Status');
+  if (statusColIndex >= 0 && rowData[statusColIndex] === ROW_ERROR_STATUS) {
+    return {};
+  }
+  
+  var batchIdColIndex = headers.indexOf('Batch ID');
+  var isInBatch = statusColIndex >= 0 && rowData[statusColIndex] === 1 && batchIdColIndex >= 0 && !!rowData[batchIdColIndex];
+  var skippedNames = getRecordedSkippedPrompts(headers, rowData);
+  var hasOutput = prompts.map(prompt => skippedNames.indexOf(prompt.name) >= 0 || headers.some((header, colIndex) => 
+    isPromptOutputColumn(prompt, String(header)) && !isEmptyTemplateValue(rowData[colIndex])));
+  var hasAnyOutput = hasOutput.indexOf(true) >= 0;
+  var versions = {};
+  
+  for (var i = 0; i < prompts.length; i++) {
+    if (hasOutput[i] || isInBatch || !hasAnyOutput) {
+      versions[prompts[i].name] = { version: prompts[i].version, queued: !hasOutput[i] && isInBatch };
+    }
+  }
+  
+  return versions;
+}
+
+/**
+ * Finds the prompts to run for a row: every prompt when the row is pending,
+ * or else the prompts that never ran on the row or changed since, and the
+ * prompts that use their outputs. Prompts queued in a batch are left out
+ * while the row waits for it (Status B).
+ * @param {Array} prompts - The prompts from getActivePrompts
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @param {boolean} force - Whether every prompt is run again (optional)
+ * @returns {Array} The prompt names in stage order
+ */
+function findPromptsToRun(prompts, headers, rowData, force) {
+  var statusColIndex = headers.indexOf('Status');
+  var status = statusColIndex >= 0 ? rowData[statusColIndex] : '';
+  if (force || isPendingStatus(status)) {
+    return prompts.map(prompt => prompt.name);
+  }
+  
+  var versions = getRowPromptVersions(prompts, headers, rowData);
+  var names = [];
+  
+  for (var i = 0; i < prompts.length; i++) {
+    var prompt = prompts[i];
+    var recorded = versions[prompt.name];
+    var isCurrent = !!recorded && recorded.version === prompt.version && (!recorded.queued || isRowWaitingForBatch(headers, rowData));
+    
+    if (!isCurrent || prompt.dependsOn.some(name => names.indexOf(name) >= 0)) {
+      names.push(prompt.name);
+    }
+  }
+  
+  return names;
+}
+
+/**
+ * Finds the prompts a batch has queued for a row
+ * @param {Array} prompts - The prompts from getActivePrompts
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @returns {Array} The prompt names
+ */
+function getQueuedPrompts(prompts, headers, rowData) {
+  var versions = getRowPromptVersions(prompts, headers, rowData);
+  return Object.keys(versions).filter(name => versions[name].queued);
+}
+
+/**
+ * Updates the prompt versions of a row in the hidden Prompt Versions column,
+ * which is added when it doesn't exist
+ * @param {Sheet} sheet - The Data sheet
+ * @param {Array} headers - The header row, updated when the column is added
+ * @param {number} rowNumber - The row number in the Data sheet
+ * @param {Array} rowData - The row values, kept in sync with the sheet
+ * @param {Array} prompts - The prompts from getActivePrompts
+ * @param {Object} changes - The new { version, queued } by prompt name, or null to remove a prompt
+ * @returns {Object} The updated versions by prompt name
+ */
+function updatePromptVersions(sheet, headers, rowNumber, rowData, prompts, changes) {
+  var versions = getRowPromptVersions(prompts, headers, rowData);
+  for (var name in changes) {
+    if (changes[name]) {
+      versions[name] = changes[name];
+    } else {
+      delete versions[name];
+    }
+  }
+  
+  var versionsColIndex = headers.indexOf(PROMPT_VERSIONS_COLUMN);
+  if (versionsColIndex < 0) {
+    versionsColIndex = getOrAddColumn(sheet, headers, PROMPT_VERSIONS_COLUMN);
+    sheet.hideColumns(versionsColIndex + 1);
+  }
+  
+  var value = formatPromptVersions(versions);
+  sheet.getRange(rowNumber, versionsColIndex + 1).setValue(value);
+  rowData[versionsColIndex] = value;
+  return versions;
+}
+
+/**
+ * Creates the prompt version changes that record prompts as run, or as queued
+ * @param {Array} prompts - The prompts from getActivePrompts
+ * @param {Array} names - The names of the prompts to record
+ * @param {boolean} queued - Whether the prompts are queued in a batch (optional)
+ * @returns {Object} The changes for updatePromptVersions
+ */
+function createPromptVersionChanges(prompts, names, queued) {
+  var changes = {};
+  for (var i = 0; i < prompts.length; i++) {
+    if (names.indexOf(prompts[i].name) >= 0) {
+      changes[prompts[i].name] = { version: prompts[i].version, queued: !!queued };
+    }
+  }
+  return changes;
+}
+
+/* ======== HTTP Retry Functions ======== */
+
+// Status codes worth retrying: timeouts, conflicts, rate limits, server errors and Anthropic's 529 (overloaded)
+const RETRYABLE_STATUS_CODES = [408, 409, 429, 500, 502, 503, 504, 529];
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+/**
+ * Fetches a URL, retrying rate limits and transient failures with jittered
+ * exponential backoff. Non-retryable errors are thrown immediately. Requests
+ * other than GET, such as creating a batch, are only sent again when they
+ * clearly did not run (see isRequestNotRun); otherwise the error is thrown
+ * with mayHaveRun set, so that the caller can check before trying again.
+ * @param {string} url - The URL to fetch
+ * @param {Object} options - The UrlFetchApp options
+ * @returns {HTTPResponse} The successful response
+ */
+function fetchWithRetry(url, options) {
+  var maxRetries = getMaxRetries();
+  var isSafeToRepeat = !options.method || String(options.method).toLowerCase() === 'get';
+  
+  for (var attempt = 0; ; attempt++) {
+    var response = null;
+    var error;
+    
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (e) {
+      // UrlFetchApp throws on network failures and timeouts
+      error = createApiError(null, e);
+    }
+    
+    if (response) {
+      var code = response.getResponseCode();
+      if (code >= 200 && code < 300) {
+        return response;
+      }
+      error = createApiError(response);
+    }
+    
+    if (!error.retryable || attempt >= maxRetries) {
+      throw error;
+    }
+    
+    if (!isSafeToRepeat && !isRequestNotRun(response)) {
+      error.mayHaveRun = true;
+      throw error;
+    }
+    
+    var delay = getRetryDelayMs(response, attempt);
+    debugLog(`${error.errorType} (attempt ${attempt + 1} of ${maxRetries + 1}), retrying in ${delay} ms: ${error.message}`);
+    Utilities.sleep(delay);
+  }
+}
+
+/**
+ * Checks if a failed request clearly did not run: it was rate limited, or a
+ * server error came back without a body before the request was handled
+ * @param {HTTPResponse} response - The failed response, or null for network failures
+ * @returns {boolean} True if the request can be sent again safely
+ */
+function isRequestNotRun(response) {
+  if (!response) {
+    return false;
+  }
+  
+  var code = response.getResponseCode();
+  return code === 429 || (code >= 500 && !response.getContentText().trim());
+}
+
+/**
+ * Creates an Error describing a failed API call. The error carries the HTTP
+ * status code, an errorType for the Error Log and whether it can be retried.
+ * @param {HTTPResponse} response - The failed response, or null for network failures
+ * @param {Error} cause - The exception thrown by UrlFetchApp (optional)
+ * @returns {Error} The error
+ */
+function createApiError(response, cause) {
+  var label = getProvider().label;
+  
+  if (!response) {
+    var networkError = new Error(label + ' request failed: ' + (cause ? cause.message : 'no response'));
+    networkError.statusCode = 0;
+    networkError.errorType = 'Network Error';
+    networkError.retryable = true;
+    return networkError;
+  }
+  
+  var statusCode = response.getResponseCode();
+  var body = {};
+  try {
+    body = JSON.parse(response.getContentText()) || {};
+  } catch (e) {
+    body = { error: { message: response.getContentText().substring(0, 500) } };
+  }
+  
+  var apiError = body.error || {};
+  var apiCode = String(apiError.code || apiError.type || '');
+  var message = apiError.message || ('HTTP ' + statusCode);
+  var errorType;
+  var retryable = false;
+  
+  if (statusCode === 401) {
+    errorType = 'Invalid API Key';
+  } else if (statusCode === 403) {
+    errorType = 'Permission Denied';
+  } else if (apiCode === 'insufficient_quota') {
+    errorType = 'Insufficient Quota';
+  } else if (apiCode === 'context_length_exceeded' || /maximum context length|prompt is too long/i.test(message)) {
+    errorType = 'Context Length Exceeded';
+  } else if (apiCode === 'model_not_found') {
+    errorType = 'Model Not Found';
+  } else if (statusCode === 429) {
+    errorType = 'Rate Limited';
+    retryable = true;
+  } else if (RETRYABLE_STATUS_CODES.indexOf(statusCode) >= 0) {
+    errorType = 'Server Error';
+    retryable = true;
+  } else {
+    errorType = 'Bad Request';
+  }
+  
+  var error = new Error(label + ' API error (' + statusCode + '): ' + message);
+  error.statusCode = statusCode;
+  error.errorType = errorType;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Works out how long to wait before retrying. Honors Retry-After and the
+ * rate limit reset headers, falling back to jittered exponential backoff.
+ * @param {HTTPResponse} response - The failed response, or null for network failures
+ * @param {number} attempt - The zero-based attempt that failed
+ * @returns {number} The delay in milliseconds
+ */
+function getRetryDelayMs(response, attempt) {
+  var headerDelay = response ? getRateLimitResetMs(response) : 0;
+  
+  if (headerDelay > 0) {
+    // Add a little jitter so parallel callers do not retry in lockstep
+    return Math.min(MAX_RETRY_DELAY_MS, Math.ceil(headerDelay + Math.random() * 250));
+  }
+  
+  var backoff = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * Math.pow(2, attempt));
+  return Math.ceil(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Reads the time until the rate limit resets from the response headers
+ * @param {HTTPResponse} response - The response
+ * @returns {number} The delay in milliseconds, or 0 if no header is present
+ */
+function getRateLimitResetMs(response) {
+  var headers = getLowerCaseHeaders(response);
+  
+  if (headers['retry-after-ms']) {
+    return Number(headers['retry-after-ms']) || 0;
+  }
+  
+  if (headers['retry-after']) {
+    var seconds = Number(headers['retry-after']);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    var retryDate = new Date(headers['retry-after']);
+    if (!isNaN(retryDate.getTime())) {
+      return Math.max(0, retryDate.getTime() - new Date().getTime());
+    }
+  }
+  
+  var resetMs = Math.max(
+    parseDurationMs(headers['x-ratelimit-reset-requests']),
+    parseDurationMs(headers['x-ratelimit-reset-tokens'])
+  );
+  
+  // Anthropic reports the reset time as an RFC 3339 timestamp
+  ['anthropic-ratelimit-requests-reset', 'anthropic-ratelimit-tokens-reset'].forEach(function(name) {
+    if (headers[name]) {
+      var resetDate = new Date(headers[name]);
+      if (!isNaN(resetDate.getTime())) {
+        resetMs = Math.max(resetMs, resetDate.getTime() - new Date().getTime());
+      }
+    }
+  });
+  
+  return resetMs;
+}
+
+/**
+ * Gets the response headers with lowercase names
+ * @param {HTTPResponse} response - The response
+ * @returns {Object} The headers
+ */
+function getLowerCaseHeaders(response) {
+  var headers = response.getHeaders ? response.getHeaders() : {};
+  var result = {};
+  
+  for (var name in headers) {
+    result[name.toLowerCase()] = headers[name];
+  }
+  
+  return result;
+}
+
+/**
+ * Parses durations such as "20ms", "1s" or "6m0.5s" used by the OpenAI rate limit headers
+ * @param {string} value - The duration
+ * @returns {number} The duration in milliseconds, or 0 if it cannot be parsed
+ */
+function parseDurationMs(value) {
+  if (!value) {
+    return 0;
+  }
+  
+  var units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  var total = 0;
+  var pattern = /([\d.]+)(ms|h|m|s)/g;
+  var match;
+  
+  while ((match = pattern.exec(String(value))) !== null) {
+    total += parseFloat(match[1]) * units[match[2]];
+  }
+  
+  return total;
+}
+
+/* ======== Structured Output Functions ======== */
+
+/**
+ * Parses the Schema column of a prompt. Accepts either a JSON Schema object or
+ * a compact syntax with one key per line, for example:
+ *   Type: B2B|B2C
+ *   Employees: integer
+ *   Services: string[]
+ * Right-hand sides of string, number, integer, boolean or string[] (also number[],
+ * integer[], boolean[]) set the type; anything else is an enum of | separated values.
+ * @param {string} definition - The Schema cell value
+ * @returns {Object|null} The JSON Schema, or null if the cell is empty
+ */
+function parseSchemaDefinition(definition) {
+  var text = definition === null || definition === undefined ? '' : String(definition).trim();
+  if (!text) {
+    return null;
+  }
+  
+  if (text.charAt(0) === '{') {
+    var schema = JSON.parse(text);
+    if (schema.type !== 'object' || !schema.properties) {
+      throw new Error('JSON Schema must be an object schema with "properties".');
+    }
+    return schema;
+  }
+  
+  var properties = {};
+  var required = [];
+  var lines = text.split(/\r?\n/);
+  
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+    if (!line) continue;
+    
+    var separatorIndex = line.indexOf(':');
+    if (separatorIndex <= 0) {
+      throw new Error('Expected "Key: type" on line ' + (i + 1) + ' but found "' + line + '".');
+    }
+    
+    var key = line.substring(0, separatorIndex).trim();
+    var spec = line.substring(separatorIndex + 1).trim();
+    var arrayMatch = spec.match(/^(string|number|integer|boolean)\[\]$/);
+    
+    if (['string', 'number', 'integer', 'boolean'].indexOf(spec) >= 0) {
+      properties[key] = { type: spec };
+    } else if (arrayMatch) {
+      properties[key] = { type: 'array', items: { type: arrayMatch[1] } };
+    } else {
+      var values = spec.split('|').map(value => value.trim()).filter(value => value !== '');
+      if (values.length === 0) {
+        throw new Error('Missing type or values for key "' + key + '".');
+      }
+      properties[key] = { type: 'string', enum: values };
+    }
+    
+    required.push(key);
+  }
+  
+  return {
+    type: 'object',
+    properties: properties,
+    required: required,
+    additionalProperties: false
+  };
+}
+
+/**
+ * Gets the response keys declared by a schema, in declaration order
+ * @param {Object} schema - The JSON Schema
+ * @returns {Array} The property names
+ */
+function getSchemaKeys(schema) {
+  return schema && schema.properties ? Object.keys(schema.properties) : [];
+}
+
+/**
+ * Builds the response_format for a prompt: plain text for the text output mode,
+ * json_schema structured output when the prompt has a Schema, plain JSON mode otherwise
+ * @param {Object} prompt - The prompt from getActivePrompts
+ * @returns {Object} The response_format
+ */
+function buildResponseFormat(prompt) {
+  if (prompt.outputMode && prompt.outputMode.type === 'text') {
+    return { type: "text" };
+  }
+  
+  if (!prompt.schema) {
+    return { type: "json_object" };
+  }
+  
+  return {
+    type: "json_schema",
+    json_schema: {
+      // Schema names only allow letters, digits, underscores and dashes
+      name: String(prompt.name).replace(/[^a-zA-Z0-9_-]+/g, '_').substring(0, 64) || 'response',
+      strict: true,
+      schema: prompt.schema
+    }
+  };
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used for structured
+ * outputs (type, enum, const, properties, required, additionalProperties, items, anyOf)
+ * @param {any} value - The value to validate
+ * @param {Object} schema - The JSON Schema
+ * @param {string} path - The path of the value, used in error messages
+ * @returns {Array} The validation errors, empty if the value is valid
+ */
+function validateJsonSchema(value, schema, path) {
+  path = path || '$';
+  var errors = [];
+  
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+  
+  if (schema.anyOf) {
+    var matches = schema.anyOf.some(option => validateJsonSchema(value, option, path).length === 0);
+    if (!matches) {
+      errors.push(path + ' does not match any allowed schema');
+    }
+    return errors;
+  }
+  
+  if (schema.type) {
+    var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesJsonType(value, type))) {
+      errors.push(path + ' should be ' + types.join(' or '));
+      return errors;
+    }
+  }
+  
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(path + ' should be one of ' + schema.enum.join(', '));
+  }
+  
+  if (schema.const !== undefined && schema.const !== value) {
+    errors.push(path + ' should be ' + schema.const);
+  }
+  
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    var properties = schema.properties || {};
+    
+    (schema.required || []).forEach(function(key) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(path + '.' + key + ' is required');
+      }
+    });
+    
+    for (var key in value) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) continue;
+      
+      if (properties[key]) {
+        errors = errors.concat(validateJsonSchema(value[key], properties[key], path + '.' + key));
+      } else if (schema.additionalProperties === false) {
+        errors.push(path + '.' + key + ' is not allowed');
+      }
+    }
+  }
+  
+  if (Array.isArray(value) && schema.items) {
+    for (var i = 0; i < value.length; i++) {
+      errors = errors.concat(validateJsonSchema(value[i], schema.items, path + '[' + i + ']'));
+    }
+  }
+  
+  return errors;
+}
+
+function matchesJsonType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'integer': return typeof value === 'number' && Math.floor(value) === value;
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+/**
+ * Creates the output columns known before the prompts run, so that schema
+ * columns always appear in schema order
+ * @param {Sheet} sheet - The Data sheet
+ * @param {Array} headers - The header row, updated in place
+ * @param {Array} prompts - The prompts from getActivePrompts
+ */
+function ensureOutputColumns(sheet, headers, prompts) {
+  for (var i = 0; i < prompts.length; i++) {
+    var columns = getPromptOutputColumns(prompts[i]);
+    
+    for (var j = 0; j < columns.length; j++) {
+      if (headers.indexOf(columns[j]) < 0) {
+        addOutputColumn(sheet, headers, columns[j], prompts[i].name);
+      }
+    }
+  }
+}
+
+// Header color and note of the Data columns created for prompt outputs
+const OUTPUT_HEADER_COLOR = '#d9ead3';
+const OUTPUT_HEADER_NOTE_PREFIX = 'Output of the prompt ';
+
+/**
+ * Adds a prompt output column to the Data sheet, with a colored header and a
+ * note naming the prompt so that outputs stand apart from the input columns
+ * @param {Sheet} sheet - The Data sheet
+ * @param {Array} headers - The header row, updated in place
+ * @param {string} colName - The column name
+ * @param {string} promptName - The prompt that writes the column
+ * @returns {number} The 0-based column index
+ */
+function addOutputColumn(sheet, headers, colName, promptName) {
+  var colIndex = headers.length;
+  sheet.getRange(1, colIndex + 1)
+    .setValue(colName)
+    .setBackground(OUTPUT_HEADER_COLOR)
+    .setNote(getOutputHeaderNote(promptName));
+  headers.push(colName);
+  return colIndex;
+}
+
+/**
+ * Gets the header note of the output columns of a prompt
+ * @param {string} promptName - The prompt name
+ * @returns {string} The note
+ */
+function getOutputHeaderNote(promptName) {
+  return OUTPUT_HEADER_NOTE_PREFIX + '"' + promptName + '"';
+}
+
+/**
+ * Checks if a header note marks a column created for a prompt output
+ * @param {string} note - The header note
+ * @returns {boolean} True for the note set by addOutputColumn
+ */
+function isOutputHeaderNote(note) {
+  return String(note || '').indexOf(OUTPUT_HEADER_NOTE_PREFIX) === 0;
+}
+
+/* ======== Output Mode Functions ======== */
+
+const OUTPUT_MODES = ['json', 'text', 'json-single'];
+
+// Default system prompt of text prompts when DEFAULT_SYSTEM_PROMPT is not configured
+const TEXT_SYSTEM_PROMPT = 'You are a helpful assistant.';
+
+/**
+ * Parses the Output Mode column of a prompt: json (the default) writes every
+ * key to its own "Prompt Name - Key" column, text writes the raw completion to
+ * a "Prompt Name" column and json-single:<key> writes one key to that column
+ * @param {string} value - The Output Mode cell
+ * @returns {Object} The output mode, with type and key
+ */
+function parseOutputMode(value) {
+  var text = String(value === null || value === undefined ? '' : value).trim();
+  if (!text) {
+    return { type: 'json', key: null };
+  }
+  
+  var separator = text.indexOf(':');
+  var type = (separator >= 0 ? text.substring(0, separator) : text).trim().toLowerCase();
+  var key = separator >= 0 ? text.substring(separator + 1).trim() : '';
+  
+  if (OUTPUT_MODES.indexOf(type) < 0) {
+    throw new Error('Expected json, text or json-single:<key> but found "' + text + '"');
+  }
+  if (type === 'json-single' && !key) {
+    throw new Error('json-single needs the key to keep, as in json-single:summary');
+  }
+  if (type !== 'json-single' && key) {
+    throw new Error('Only json-single takes a key but found "' + text + '"');
+  }
+  
+  return { type: type, key: type === 'json-single' ? key : null };
+}
+
+/**
+ * Parses the Output Mapping column of a prompt, one "key => Column" per line.
+ * A line with only a key keeps the default column name. The mapping sets the
+ * column order, and keys it does not list are not written.
+ * @param {string} definition - The Output Mapping cell
+ * @param {string} promptName - The prompt name
+ * @param {Object} outputMode - The prompt's output mode
+ * @returns {Array} The mapping as objects with key and column, or null without one
+ */
+function parseOutputMapping(definition, promptName, outputMode) {
+  var text = definition === null || definition === undefined ? '' : String(definition).trim();
+  if (!text) {
+    return null;
+  }
+  
+  var mapping = [];
+  var keys = [];
+  var columns = [];
+  var lines = text.split(/\r?\n/);
+  
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+    if (!line) continue;
+    
+    var separatorIndex = line.indexOf('=>');
+    var key = (separatorIndex >= 0 ? line.substring(0, separatorIndex) : line).trim();
+    var column = separatorIndex >= 0 ? line.substring(separatorIndex + 2).trim() : getDefaultOutputColumn(promptName, outputMode, key);
+    
+    if (!key || !column) {
+      throw new Error('Expected "key => Column" on line ' + (i + 1) + ' but found "' + line + '".');
+    }
+    if (outputMode.type === 'text' && key !== 'text') {
+      throw new Error('Text prompts only have the key "text" but line ' + (i + 1) + ' maps "' + key + '".');
+    }
+    if (outputMode.type === 'json-single' && key !== outputMode.key) {
+      throw new Error('This prompt only keeps the key "' + outputMode.key + '" but line ' + (i + 1) + ' maps "' + key + '".');
+    }
+    if (keys.indexOf(key) >= 0) {
+      throw new Error('The key "' + key + '" is mapped more than once.');
+    }
+    if (columns.indexOf(column) >= 0) {
+      throw new Error('More than one key is mapped to the column "' + column + '".');
+    }
+    
+    keys.push(key);
+    columns.push(column);
+    mapping.push({ key: key, column: column });
+  }
+  
+  return mapping.length > 0 ? mapping : null;
+}
+
+/**
+ * Gets the output columns of a prompt that are known before it runs: the
+ * mapped columns in mapping order, or else the flattened schema columns in
+ * json mode and the single "Prompt Name" column otherwise
+ * @param {Object} prompt - The prompt from getActivePrompts
+ * @returns {Array} The column names
+ */
+function getPromptOutputColumns(prompt) {
+  if (prompt.outputMapping) {
+    return prompt.outputMapping.map(entry => entry.column);
+  }
+  
+  if (prompt.outputMode && prompt.outputMode.type !== 'json') {
+    return [String(prompt.name)];
+  }
+  
+  var flatten = prompt.flatten || getDefaultFlattenOptions();
+  return getFlattenedSchemaKeys(prompt.schema, '', 0, flatten).map(key => prompt.name + ' - ' + key);
+}
+
+/**
+ * Gets the values of a parsed response by output key: the flattened paths in
+ * json mode, the kept key in json-single mode and "text" in text mode
+ * @param {Object|string} response - The parsed response
+ * @param {Object} prompt - The prompt from getActivePrompts (optional, for the output mode and flattening)
+ * @returns {Object} The values by output key
+ */
+function getResponseValues(response, prompt) {
+  var values = {};
+  var outputMode = prompt ? prompt.outputMode : null;
+  var type = outputMode ? outputMode.type : 'json';
+  var flatten = prompt && prompt.flatten ? prompt.flatten : getDefaultFlattenOptions();
+  
+  if (type === 'text') {
+    values.text = response;
+  } else if (type === 'json-single') {
+    // The value stays in one column, only arrays of scalars are joined
+    flattenResponseValue(response[outputMode.key], outputMode.key, 0, { maxDepth: 0, arrayDelimiter: flatten.arrayDelimiter, objectArrays: 'json' }, values);
+  } else {
+    for (var key in response) {
+      if (Object.prototype.hasOwnProperty.call(response, key)) {
+        flattenResponseValue(response[key], key, 0, flatten, values);
+      }
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Gets the column an output key is written to when the prompt has no Output Mapping
+ * @param {string} promptName - The prompt name
+ * @param {Object} outputMode - The prompt's output mode (optional, defaults to json)
+ * @param {string} key - The output key
+ * @returns {string} "Prompt Name - Key" in json mode, "Prompt Name" otherwise
+ */
+function getDefaultOutputColumn(promptName, outputMode, key) {
+  return outputMode && outputMode.type !== 'json' ? String(promptName) : promptName + ' - ' + key;
+}
+
+/**
+ * Maps a parsed response to the Data columns it is written to. With an Output
+ * Mapping only the mapped keys are written, to the mapped columns.
+ * @param {Object|string} response - The parsed response
+ * @param {string} promptName - The prompt name
+ * @param {Object} prompt - The prompt from getActivePrompts (optional, for the output mode, flattening and mapping)
+ * @returns {Object} The values by column name
+ */
+function getResponseColumns(response, promptName, prompt) {
+  var values = getResponseValues(response, prompt);
+  var columns = {};
+  
+  if (prompt && prompt.outputMapping) {
+    for (var i = 0; i < prompt.outputMapping.length; i++) {
+      var entry = prompt.outputMapping[i];
+      if (Object.prototype.hasOwnProperty.call(values, entry.key)) {
+        columns[entry.column] = values[entry.key];
+      }
+    }
+    return columns;
+  }
+  
+  for (var key in values) {
+    columns[getDefaultOutputColumn(promptName, prompt ? prompt.outputMode : null, key)] = values[key];
+  }
+  return columns;
+}
+
+/**
+ * Parses the content returned by the model: text is kept as is, anything else must be JSON
+ * @param {string} content - The message content
+ * @param {boolean} isText - Whether the prompt uses the text output mode
+ * @returns {Object|string} The parsed response
+ */
+function parseResponseContent(content, isText) {
+  return isText ? String(content || '') : parseJsonContent(content);
+}
+
+/**
+ * Validates a parsed response against its prompt: the Schema, and the key
+ * kept by json-single. Text responses are not validated.
+ * @param {Object|string} response - The parsed response
+ * @param {Object} prompt - The prompt from getActivePrompts (optional)
+ * @returns {Array} The validation errors, empty if the response is valid
+ */
+function validatePromptResponse(response, prompt) {
+  if (!prompt) {
+    return [];
+  }
+  
+  var type = prompt.outputMode ? prompt.outputMode.type : 'json';
+  if (type === 'text') {
+    return [];
+  }
+  
+  var errors = validateJsonSchema(response, prompt.schema);
+  if (type === 'json-single' && (response === null || typeof response !== 'object' ||
+      !Object.prototype.hasOwnProperty.call(response, prompt.outputMode.key))) {
+    errors.push('$.' + prompt.outputMode.key + ' is required');
+  }
+  
+  return errors;
+}
+
+/* ======== Response Flattening Functions ======== */
+
+/**
+ * Gets the flattening settings from the Config sheet, used by prompts without their own Max Depth
+ * @returns {Object} The maxDepth, arrayDelimiter and objectArrays settings
+ */
+function getDefaultFlattenOptions() {
+  return {
+    maxDepth: getFlattenMaxDepth(),
+    arrayDelimiter: getFlattenArrayDelimiter(),
+    objectArrays: getFlattenObjectArrays()
+  };
+}
+
+/**
+ * Flattens a response value into dotted paths: nested objects become
+ * "key.nested" entries, arrays of scalars are joined with the delimiter and
+ * arrays of objects are written as JSON or expanded into "key.0.nested" entries.
+ * Values nested deeper than maxDepth are written as JSON.
+ * @param {any} value - The value
+ * @param {string} path - The path of the value
+ * @param {number} depth - The number of levels already flattened
+ * @param {Object} options - The flattening settings
+ * @param {Object} values - The values by path, filled in place
+ */
+function flattenResponseValue(value, path, depth, options, values) {
+  if (Array.isArray(value)) {
+    var isScalarArray = value.every(item => item === null || typeof item !== 'object');
+    
+    if (isScalarArray) {
+      values[path] = value.join(options.arrayDelimiter);
+    } else if (options.objectArrays === 'index' && depth < options.maxDepth) {
+      for (var i = 0; i < value.length; i++) {
+        flattenResponseValue(value[i], path + '.' + i, depth + 1, options, values);
+      }
+    } else {
+      values[path] = JSON.stringify(value);
+    }
+  } else if (value !== null && typeof value === 'object') {
+    if (depth < options.maxDepth) {
+      for (var key in value) {
+        if (Object.prototype.hasOwnProperty.call(value, key)) {
+          flattenResponseValue(value[key], path + '.' + key, depth + 1, options, values);
+        }
+      }
+    } else {
+      values[path] = JSON.stringify(value);
+    }
+  } else {
+    values[path] = value;
+  }
+}
+
+/**
+ * Gets the flattened paths a schema declares, matching flattenResponseValue.
+ * Arrays of objects expanded by index are left out, as their length is only known from the response.
+ * @param {Object} schema - The JSON Schema of an object
+ * @param {string} prefix - The path of the object, empty at the top
+ * @param {number} depth - The number of levels already flattened
+ * @param {Object} options - The flattening settings
+ * @returns {Array} The paths
+ */
+function getFlattenedSchemaKeys(schema, prefix, depth, options) {
+  var paths = [];
+  var keys = getSchemaKeys(schema);
+  
+  for (var i = 0; i < keys.length; i++) {
+    var property = schema.properties[keys[i]] || {};
+    var path = prefix ? prefix + '.' + keys[i] : keys[i];
+    var items = property.type === 'array' ? property.items || {} : null;
+    
+    if (property.type === 'object' && property.properties && depth < options.maxDepth) {
+      paths = paths.concat(getFlattenedSchemaKeys(property, path, depth + 1, options));
+    } else if (items && items.type === 'object' && options.objectArrays === 'index' && depth < options.maxDepth) {
+      continue;
+    } else {
+      paths.push(path);
+    }
+  }
+  
+  return paths;
+}
+
+/* ======== Prompt Chaining Functions ======== */
+
+/**
+ * Finds the prompts whose output columns a prompt uses in its text, system prompt or condition.
+ * A placeholder such as {{Classify - Type}} depends on the active prompt named "Classify",
+ * or {{Classify}} when that prompt writes a single column, or any column of its Output Mapping.
+ * A prompt that uses its own output columns gets the values already in the row.
+ * @param {Object} prompt - The prompt
+ * @param {Array} prompts - All active prompts
+ * @returns {Array} The names of the prompts it depends on
+ */
+function getPromptDependencies(prompt, prompts) {
+  var references = getTemplateReferences(prompt.text)
+    .concat(getTemplateReferences(prompt.systemPrompt))
+    .concat(getTemplateReferences(prompt.conditionText));
+  var dependencies = [];
+  
+  for (var i = 0; i < references.length; i++) {
+    var columnName = references[i];
+    
+    for (var j = 0; j < prompts.length; j++) {
+      if (prompts[j] === prompt) continue;
+      
+      var name = String(prompts[j].name);
+      if (isPromptOutputColumn(prompts[j], columnName) && dependencies.indexOf(name) < 0) {
+        dependencies.push(name);
+      }
+    }
+  }
+  
+  return dependencies;
+}
+
+/**
+ * Checks if a column is written by a prompt
+ * @param {Object} prompt - The prompt
+ * @param {string} columnName - The column name
+ * @returns {boolean} True for its mapped columns, or else its "Prompt Name - Key" or "Prompt Name" columns
+ */
+function isPromptOutputColumn(prompt, columnName) {
+  if (prompt.outputMapping) {
+    return prompt.outputMapping.some(entry => entry.column === columnName);
+  }
+  
+  var name = String(prompt.name);
+  if (prompt.outputMode && prompt.outputMode.type !== 'json') {
+    return columnName === name;
+  }
+  return columnName.indexOf(name + ' - ') === 0;
+}
+
+/**
+ * Orders prompts into stages: a prompt's stage is one more than the highest
+ * stage of the prompts it depends on, so every stage only uses outputs of
+ * earlier stages. Prompts keep their sheet order within a stage.
+ * @param {Array} prompts - The active prompts
+ * @returns {Array} The prompts sorted by stage, with dependsOn and stage set
+ */
+function orderPromptsByDependencies(prompts) {
+  var promptsByName = {};
+  for (var i = 0; i < prompts.length; i++) {
+    promptsByName[prompts[i].name] = prompts[i];
+    prompts[i].dependsOn = getPromptDependencies(prompts[i], prompts);
+  }
+  
+  var visiting = [];
+  
+  function assignStage(prompt) {
+    if (prompt.stage !== undefined) {
+      return prompt.stage;
+    }
+    
+    var cycleStart = visiting.indexOf(prompt.name);
+    if (cycleStart >= 0) {
+      throw new Error('Prompts depend on each other in a cycle: ' + 
+                      visiting.slice(cycleStart).concat(prompt.name).join(' -> '));
+    }
+    
+    visiting.push(prompt.name);
+    var stage = 0;
+    for (var j = 0; j < prompt.dependsOn.length; j++) {
+      stage = Math.max(stage, assignStage(promptsByName[prompt.dependsOn[j]]) + 1);
+    }
+    visiting.pop();
+    
+    prompt.stage = stage;
+    return stage;
+  }
+  
+  for (var i = 0; i < prompts.length; i++) {
+    assignStage(prompts[i]);
+  }
+  
+  // Array.prototype.sort is stable in V8, so sheet order is kept within a stage
+  return prompts.sort((a, b) => a.stage - b.stage);
+}
+
+/**
+ * Gets the last prompt stage
+ * @param {Array} prompts - The prompts returned by getActivePrompts (optional)
+ * @returns {number} The highest stage, 0 when no prompt depends on another
+ */
+function getLastPromptStage(prompts) {
+  prompts = prompts || getActivePrompts();
+  return prompts.length > 0 ? prompts[prompts.length - 1].stage : 0;
+}
+
+/**
+ * Groups ordered prompts by stage
+ * @param {Array} prompts - The prompts returned by getActivePrompts
+ * @returns {Array} One array of prompts per stage
+ */
+function groupPromptsByStage(prompts) {
+  var stages = [];
+  for (var i = 0; i < prompts.length; i++) {
+    stages[prompts[i].stage] = stages[prompts[i].stage] || [];
+    stages[prompts[i].stage].push(prompts[i]);
+  }
+  return stages;
+}
+
+/* ======== Prompt Condition Functions ======== */
+
+/**
+ * Functions available in conditions. Arguments are row values or literals.
+ */
+const CONDITION_FUNCTIONS = {
+  empty: value => String(value === null || value === undefined ? '' : value).trim() === '',
+  not_empty: value => String(value === null || value === undefined ? '' : value).trim() !== '',
+  contains: (value, search) => String(value).indexOf(String(search)) >= 0,
+  starts_with: (value, prefix) => String(value).indexOf(String(prefix)) === 0,
+  lower: value => String(value).toLowerCase(),
+  upper: value => String(value).toUpperCase(),
+  len: value => String(value).length
+};
+
+/**
+ * Splits a condition into tokens
+ * @param {string} text - The condition
+ * @returns {Array} Tokens with a type (column, string, number, name or op) and a value
+ */
+function tokenizeCondition(text) {
+  var tokens = [];
+  var i = 0;
+  
+  while (i < text.length) {
+    var rest = text.substring(i);
+    var match;
+    
+    if (/^\s/.test(rest)) {
+      i++;
+    } else if ((match = rest.match(/^\{\{([^}]+)\}\}/))) {
+      tokens.push({ type: 'column', value: match[1].trim() });
+      i += match[0].length;
+    } else if ((match = rest.match(/^"((?:[^"\\]|\\.)*)"|^'((?:[^'\\]|\\.)*)'/))) {
+      var literal = match[1] !== undefined ? match[1] : match[2];
+      tokens.push({ type: 'string', value: literal.replace(/\\(.)/g, '$1') });
+      i += match[0].length;
+    } else if ((match = rest.match(/^\d+(\.\d+)?/))) {
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      i += match[0].length;
+    } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/))) {
+      tokens.push({ type: 'name', value: match[0] });
+      i += match[0].length;
+    } else if ((match = rest.match(/^(==|!=|<=|>=|&&|\|\||[<>!(),])/))) {
+      tokens.push({ type: 'op', value: match[0] });
+      i += match[0].length;
+    } else {
+      throw new Error(`Unexpected "${rest.charAt(0)}" at position ${i + 1}`);
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Parses a condition such as {{Type}} == "B2B" && not_empty({{Website}}).
+ * Supports {{Column}} values, "strings", numbers, true and false, the
+ * comparisons == != < <= > >=, && || ! and parentheses, and the functions in
+ * CONDITION_FUNCTIONS. Nothing in the condition is executed as code.
+ * @param {string} text - The condition
+ * @returns {Object} The parsed condition
+ */
+function parseCondition(text) {
+  var tokens = tokenizeCondition(text);
+  var position = 0;
+  
+  function peek(value) {
+    return position < tokens.length && tokens[position].type === 'op' && tokens[position].value === value;
+  }
+  
+  function expect(value) {
+    if (!peek(value)) {
+      throw new Error(`Expected "${value}"` + (position < tokens.length ? ` before "${tokens[position].value}"` : ' at the end'));
+    }
+    position++;
+  }
+  
+  function parseOr() {
+    var node = parseAnd();
+    while (peek('||')) {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+  
+  function parseAnd() {
+    var node = parseNot();
+    while (peek('&&')) {
+      position++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  }
+  
+  function parseNot() {
+    if (peek('!')) {
+      position++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+  
+  function parseComparison() {
+    var node = parsePrimary();
+    var operators = ['==', '!=', '<=', '>=', '<', '>'];
+    for (var i = 0; i < operators.length; i++) {
+      if (peek(operators[i])) {
+        position++;
+        return { type: 'compare', operator: operators[i], left: node, right: parsePrimary() };
+      }
+    }
+    return node;
+  }
+  
+  function parsePrimary() {
+    if (position >= tokens.length) {
+      throw new Error('Unexpected end of condition');
+    }
+    
+    var token = tokens[position++];
+    
+    if (token.type === 'column') {
+      return { type: 'column', name: token.value };
+    }
+    if (token.type === 'string' || token.type === 'number') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'name') {
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+      if (!Object.prototype.hasOwnProperty.call(CONDITION_FUNCTIONS, token.value)) {
+        throw new Error(`Unknown function "${token.value}", available functions: ${Object.keys(CONDITION_FUNCTIONS).join(', ')}`);
+      }
+      
+      var args = [];
+      expect('(');
+      if (!peek(')')) {
+        args.push(parseOr());
+        while (peek(',')) {
+          position++;
+          args.push(parseOr());
+        }
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args: args };
+    }
+    if (token.value === '(') {
+      var node = parseOr();
+      expect(')');
+      return node;
+    }
+    
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+  
+  var condition = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return condition;
+}
+
+/**
+ * Evaluates a parsed condition against a Data row
+ * @param {Object} node - The parsed condition
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @returns {any} The value of the condition
+ */
+function evaluateCondition(node, headers, rowData) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column':
+      var colIndex = headers.indexOf(node.name);
+      var value = colIndex >= 0 ? rowData[colIndex] : '';
+      return value === null || value === undefined ? '' : value;
+    case 'not':
+      return !isConditionTrue(evaluateCondition(node.operand, headers, rowData));
+    case 'and':
+      return isConditionTrue(evaluateCondition(node.left, headers, rowData)) && 
+             isConditionTrue(evaluateCondition(node.right, headers, rowData));
+    case 'or':
+      return isConditionTrue(evaluateCondition(node.left, headers, rowData)) || 
+             isConditionTrue(evaluateCondition(node.right, headers, rowData));
+    case 'call':
+      return CONDITION_FUNCTIONS[node.name].apply(null, node.args.map(arg => evaluateCondition(arg, headers, rowData)));
+    case 'compare':
+      return compareConditionValues(evaluateCondition(node.left, headers, rowData), 
+                                    evaluateCondition(node.right, headers, rowData), node.operator);
+  }
+  throw new Error('Unknown condition node: ' + node.type);
+}
+
+/**
+ * Compares two values, as numbers when both are numbers and as text otherwise
+ * @param {any} left - The left value
+ * @param {any} right - The right value
+ * @param {string} operator - One of == != < <= > >=
+ * @returns {boolean} The result of the comparison
+ */
+function compareConditionValues(left, right, operator) {
+  var isNumeric = value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value)));
+  
+  if (isNumeric(left) && isNumeric(right)) {
+    left = Number(left);
+    right = Number(right);
+  } else {
+    left = String(left);
+    right = String(right);
+  }
+  
+  switch (operator) {
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+  }
+}
+
+/**
+ * Converts a condition value to a boolean. Empty text, 0, false and "false" are false.
+ * @param {any} value - The value
+ * @returns {boolean} The boolean value
+ */
+function isConditionTrue(value) {
+  if (typeof value === 'string') {
+    return value.trim() !== '' && value.trim().toLowerCase() !== 'false';
+  }
+  return Boolean(value);
+}
+
+/**
+ * Checks if a prompt should be skipped for a row: its condition is not met, or
+ * a prompt it depends on was skipped
+ * @param {Object} prompt - The prompt
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @param {Array} skippedNames - The prompts already skipped for the row (optional)
+ * @returns {boolean} True if the prompt should be skipped
+ */
+function isPromptSkipped(prompt, headers, rowData, skippedNames) {
+  if (skippedNames && prompt.dependsOn.some(name => skippedNames.indexOf(name) >= 0)) {
+    return true;
+  }
+  return prompt.condition ? !isConditionTrue(evaluateCondition(prompt.condition, headers, rowData)) : false;
+}
+
+/**
+ * Finds the prompts skipped for a row up to a stage
+ * @param {Array} prompts - The prompts returned by getActivePrompts
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @param {number} lastStage - The last stage to check
+ * @returns {Array} The names of the skipped prompts
+ */
+function getSkippedPrompts(prompts, headers, rowData, lastStage) {
+  var skippedNames = [];
+  for (var i = 0; i < prompts.length && prompts[i].stage <= lastStage; i++) {
+    if (isPromptSkipped(prompts[i], headers, rowData, skippedNames)) {
+      skippedNames.push(prompts[i].name);
+    }
+  }
+  return skippedNames;
+}
+
+/**
+ * Gets the prompts listed in the Skipped Prompts column of a row
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @returns {Array} The names of the skipped prompts
+ */
+function getRecordedSkippedPrompts(headers, rowData) {
+  var skippedColIndex = headers.indexOf('Skipped Prompts');
+  var value = skippedColIndex >= 0 ? String(rowData[skippedColIndex] || '') : '';
+  return value ? value.split(', ') : [];
+}
+
+/**
+ * Records the prompts skipped for a row in the Skipped Prompts column, which is
+ * only added once a prompt is skipped
+ * @param {Sheet} sheet - The Data sheet
+ * @param {Array} headers - The header row
+ * @param {number} rowNumber - The row number in the Data sheet
+ * @param {Array} skippedNames - The names of the skipped prompts
+ */
+function recordSkippedPrompts(sheet, headers, rowNumber, skippedNames) {
+  var skippedColIndex = headers.indexOf('Skipped Prompts');
+  
+  if (!skippedNames || skippedNames.length === 0) {
+    if (skippedColIndex >= 0) {
+      sheet.getRange(rowNumber, skippedColIndex + 1).setValue('');
+    }
+    return;
+  }
+  
+  skippedColIndex = getOrAddColumn(sheet, headers, 'Skipped Prompts');
+  sheet.getRange(rowNumber, skippedColIndex + 1).setValue(skippedNames.join(', '));
+}
+
+/* ======== LLM Provider Functions ======== */
+
+/**
+ * Supported LLM providers, selected with PROVIDER in the Config sheet.
+ * Every provider receives the same chat request used by the realtime and batch
+ * paths ({ model, messages, temperature, max_tokens, seed, response_format }) and
+ * returns usage in the shape expected by runPrompts and calculateCost.
+ * The base URLs of OpenAI and Anthropic end in their versionPath, which is
+ * added to a BASE_URL without it; other providers use BASE_URL as given.
+ */
+const PROVIDERS = {
+  'openai': {
+    label: 'OpenAI',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    versionPath: '/v1',
+    defaultApiVersion: '',
+    requiresApiKey: true,
+    supportsBatch: true,
+    batchEndpoint: '/v1/chat/completions',
+    buildUrl: buildOpenAIUrl,
+    getChatPath: function(model) { return '/chat/completions'; },
+    buildHeaders: buildBearerHeaders,
+    buildChatPayload: buildOpenAIChatPayload,
+    parseChatResponse: parseOpenAIChatResponse
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible server',
+    defaultBaseUrl: '',
+    defaultApiVersion: '',
+    requiresApiKey: false,
+    supportsBatch: false,
+    buildUrl: buildOpenAIUrl,
+    getChatPath: function(model) { return '/chat/completions'; },
+    buildHeaders: buildBearerHeaders,
+    buildChatPayload: buildOpenAIChatPayload,
+    parseChatResponse: parseOpenAIChatResponse
+  },
+  'azure': {
+    label: 'Azure OpenAI',
+    defaultBaseUrl: '',
+    defaultApiVersion: '2024-10-21',
+    requiresApiKey: true,
+    supportsBatch: true,
+    batchEndpoint: '/chat/completions',
+    buildUrl: function(baseUrl, path, apiVersion) {
+      return baseUrl + '/openai' + path + (path.indexOf('?') >= 0 ? '&' : '?') + 'api-version=' + encodeURIComponent(apiVersion);
+    },
+    // The Model column holds the Azure deployment name
+    getChatPath: function(model) { return '/deployments/' + encodeURIComponent(model) + '/chat/completions'; },
+    buildHeaders: function(apiKey, apiVersion) { return { 'api-key': apiKey }; },
+    buildChatPayload: buildOpenAIChatPayload,
+    parseChatResponse: parseOpenAIChatResponse
+  },
+  'anthropic': {
+    label: 'Anthropic',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    versionPath: '/v1',
+    defaultApiVersion: '2023-06-01',
+    requiresApiKey: true,
+    supportsBatch: false,
+    buildUrl: buildOpenAIUrl,
+    getChatPath: function(model) { return '/messages'; },
+    buildHeaders: function(apiKey, apiVersion) {
+      return { 'x-api-key': apiKey, 'anthropic-version': apiVersion };
+    },
+    buildChatPayload: buildAnthropicChatPayload,
+    parseChatResponse: parseAnthropicChatResponse
+  }
+};
+
+/**
+ * Gets the provider definition selected in the Config sheet
+ * @returns {Object} The provider definition from PROVIDERS
+ */
+function getProvider() {
+  var name = getProviderName();
+  var provider = PROVIDERS[name];
+  
+  if (!provider) {
+    throw new Error('Unknown PROVIDER "' + name + '" in Config. Supported providers: ' + Object.keys(PROVIDERS).join(', ') + '.');
+  }
+  
+  return provider;
+}
+
+/**
+ * Gets the provider definition and makes sure it supports the Batch API
+ * @returns {Object} The provider definition from PROVIDERS
+ */
+function getBatchProvider() {
+  var provider = getProvider();
+  
+  if (!provider.supportsBatch) {
+    throw new Error('Batch processing is not supported for the ' + provider.label + ' provider. Use "Run for All Rows" instead.');
+  }
+  
+  return provider;
+}
+
+function buildOpenAIUrl(baseUrl, path, apiVersion) {
+  return baseUrl + path;
+}
+
+function buildBearerHeaders(apiKey, apiVersion) {
+  return apiKey ? { Authorization: 'Bearer ' + apiKey } : {};
+}
+
+/**
+ * Builds the full URL for an API path on the configured provider
+ * @param {string} path - The API path, e.g. /batches
+ * @returns {string} The full URL
+ */
+function buildProviderUrl(path) {
+  var provider = getProvider();
+  return provider.buildUrl(getBaseUrl(provider), path, getApiVersion(provider));
+}
+
+/**
+ * Builds UrlFetchApp options with the provider's authentication headers
+ * @param {string} method - The HTTP method
+ * @param {Object|string} payload - The request body (objects are sent as JSON)
+ * @param {string} contentType - The content type (defaults to application/json)
+ * @returns {Object} The UrlFetchApp options
+ */
+function buildProviderRequestOptions(method, payload, contentType) {
+  var provider = getProvider();
+  var options = {
+    method: method,
+    headers: provider.buildHeaders(getApiKey(), getApiVersion(provider)),
+    muteHttpExceptions: true
+  };
+  
+  if (payload !== undefined) {
+    options.contentType = contentType || 'application/json';
+    options.payload = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  }
+  
+  return options;
+}
+
+/**
+ * Sends a request to the configured provider and returns the parsed JSON body
+ * @param {string} method - The HTTP method
+ * @param {string} path - The API path
+ * @param {Object|string} payload - The request body (optional)
+ * @param {string} contentType - The content type (optional)
+ * @returns {Object} The parsed response
+ */
+function fetchProviderJson(method, path, payload, contentType) {
+  var response = fetchWithRetry(buildProviderUrl(path), buildProviderRequestOptions(method, payload, contentType));
+  var responseJson = JSON.parse(response.getContentText());
+  
+  if (responseJson.error) {
+    throw new Error(getProvider().label + ' API error: ' + responseJson.error.message);
+  }
+  
+  return responseJson;
+}
+
+/**
+ * Builds the chat request shared by the realtime and batch paths
+ * @param {string} model - The model (or Azure deployment) name
+ * @param {string} prompt - The user prompt
+ * @param {number} temperature - The temperature
+ * @param {number} max_tokens - The maximum number of output tokens
+ * @param {number} seed - The seed for reproducible results
+ * @param {Object} responseFormat - The response_format (defaults to JSON mode)
+ * @param {string} systemPrompt - The system message (defaults to DEFAULT_SYSTEM_PROMPT)
+ * @returns {Object} The chat request
+ */
+function buildChatRequest(model, prompt, temperature, max_tokens, seed, responseFormat, systemPrompt) {
+  systemPrompt = systemPrompt || CONFIG_DEFAULTS.DEFAULT_SYSTEM_PROMPT;
+  
+  responseFormat = responseFormat || { type: "json_object" };
+  
+  // JSON mode is rejected unless the messages ask for JSON; the instruction goes last so the static part stays a cacheable prefix
+  if (responseFormat.type !== 'text' && !/json/i.test(systemPrompt)) {
+    systemPrompt += '\n\nReturn valid JSON only.';
+  }
+  
+  return {
+    model: model,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: prompt }
+    ],
+    temperature: temperature,
+    max_tokens: max_tokens,
+    seed: seed,
+    response_format: responseFormat
+  };
+}
+
+/**
+ * Builds the chat request of a prompt for a Data row, filling in the
+ * placeholders of its text and system prompt
+ * @param {Object} prompt - The prompt from getActivePrompts
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @param {number} seed - The seed for reproducible results
+ * @returns {Object} The chat request
+ */
+function buildPromptRequest(prompt, headers, rowData, seed) {
+  return buildChatRequest(
+    prompt.model,
+    replaceVariables(prompt.text, headers, rowData),
+    prompt.temperature,
+    prompt.max_tokens,
+    seed,
+    buildResponseFormat(prompt),
+    replaceVariables(prompt.systemPrompt, headers, rowData)
+  );
+}
+
+function buildOpenAIChatPayload(request) {
+  return {
+    model: request.model,
+    messages: request.messages,
+    temperature: request.temperature,
+    max_tokens: request.max_tokens,
+    seed: request.seed,
+    // Text is the default, and not every compatible server accepts it explicitly
+    response_format: request.response_format && request.response_format.type !== 'text' ? request.response_format : undefined
+  };
+}
+
+/**
+ * Maps a chat request to the Anthropic Messages API. Anthropic has no seed or
+ * response_format, so JSON output relies on the system message and any schema
+ * is added to it as an instruction.
+ */
+function buildAnthropicChatPayload(request) {
+  var systemParts = [];
+  var messages = [];
+  
+  for (var i = 0; i < request.messages.length; i++) {
+    var message = request.messages[i];
+    if (message.role === 'system') {
+      systemParts.push(message.content);
+    } else {
+      messages.push({ role: message.role, content: message.content });
+    }
+  }
+  
+  var responseFormat = request.response_format;
+  if (responseFormat && responseFormat.type === 'json_schema') {
+    systemParts.push('The JSON must match this JSON Schema: ' + JSON.stringify(responseFormat.json_schema.schema));
+  }
+  
+  return {
+    model: request.model,
+    system: systemParts.join('\n\n'),
+    messages: messages,
+    temperature: request.temperature,
+    max_tokens: request.max_tokens
+  };
+}
+
+/**
+ * Normalizes an OpenAI chat completion (also used by Azure and compatible servers)
+ * @param {Object} json - The response body
+ * @returns {Object} The content, model and token usage
+ */
+function parseOpenAIChatResponse(json) {
+  var usage = json.usage || {};
+  var cachedTokens = 0;
+  if (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) {
+    cachedTokens = usage.prompt_tokens_details.cached_tokens;
+  }
+  
+  return {
+    content: json.choices?.[0]?.message?.content || '',
+    model: json.model,
+    inputTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0,
+    cachedTokens: cachedTokens
+  };
+}
+
+/**
+ * Normalizes an Anthropic message. Anthropic reports cache reads and writes
+ * separately from input_tokens, so they are added back to the input total.
+ * @param {Object} json - The response body
+ * @returns {Object} The content, model and token usage
+ */
+function parseAnthropicChatResponse(json) {
+  var usage = json.usage || {};
+  var content = (json.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+  var cachedTokens = usage.cache_read_input_tokens || 0;
+  var inputTokens = (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0);
+  var outputTokens = usage.output_tokens || 0;
+  
+  return {
+    content: content,
+    model: json.model,
+    inputTokens: inputTokens,
+    outputTokens: outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    cachedTokens: cachedTokens
+  };
+}
+
+/**
+ * Parses the JSON returned by the model, ignoring markdown code fences that
+ * some providers wrap around it
+ * @param {string} content - The message content
+ * @returns {Object} The parsed JSON
+ */
+function parseJsonContent(content) {
+  var text = String(content || '{}').trim();
+  var fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+  
+/* ======== OpenAI API Function ======== */
+
+/**
+ * Builds the UrlFetchApp request for a chat request on the configured provider
+ * @param {Object} request - The chat request from buildChatRequest
+ * @returns {Object} The UrlFetchApp request, including its url
+ */
+function buildChatFetchRequest(request) {
+  var provider = getProvider();
+  var fetchRequest = buildProviderRequestOptions('post', provider.buildChatPayload(request));
+  fetchRequest.url = buildProviderUrl(provider.getChatPath(request.model));
+  return fetchRequest;
+}
+
+/**
+ * Parses a successful chat response into the structure used by runPrompts
+ * @param {HTTPResponse} response - The response
+ * @param {Object} responseFormat - The response_format of the request; text responses are not parsed as JSON
+ * @returns {Object} The response text, parsed JSON and token usage
+ */
+function parseChatFetchResponse(response, responseFormat) {
+  var provider = getProvider();
+  var json = JSON.parse(response.getContentText().trim());
+  
+  if (json.error) {
+    throw new Error(provider.label + ' API error: ' + json.error.message);
+  }
+  
+  var result = provider.parseChatResponse(json);
+
+  // Parse the content string into a JSON object
+  var isText = !!responseFormat && responseFormat.type === 'text';
+  var parsedContent;
+  
+  try {
+    parsedContent = parseResponseContent(result.content, isText);
+  } catch (e) {
+    throw new Error('Failed to parse ' + provider.label + ' response as JSON: ' + e.toString());
+  }
+  
+  return {
+    text: isText ? parsedContent : JSON.stringify(parsedContent),
+    parsedJson: parsedContent,
+    inputTokens: result.inputTokens,
+    outputTokens: result.outputTokens,
+    totalTokens: result.totalTokens,
+    cachedTokens: result.cachedTokens
+  };
+}
+
+/* ======== Parallel Execution Functions ======== */
+
+/**
+ * Sends chat requests in parallel with UrlFetchApp.fetchAll, at most
+ * throttle.concurrency at a time. Retryable failures are queued again after
+ * the delay given by the rate limit headers. Each task gets either a result
+ * (see parseChatFetchResponse) or an error, plus its share of the call duration.
+ * Tasks that would have to wait past the deadline are not sent and are marked
+ * unprocessed instead.
+ * @param {Array} tasks - Objects with a request from buildChatRequest
+ * @param {Object} throttle - The throttle from createThrottle
+ * @param {number} deadline - The time in milliseconds after which no request is started
+ */
+function executeChatTasks(tasks, throttle, deadline) {
+  var maxRetries = getMaxRetries();
+  var queue = tasks.slice();
+  
+  for (var i = 0; i < tasks.length; i++) {
+    tasks[i].attempts = 0;
+    tasks[i].duration = 0;
+  }
+  
+  while (queue.length > 0) {
+    if (!waitForThrottle(throttle, deadline)) {
+      debugLog(`Execution time is almost up, leaving ${queue.length} requests unprocessed`);
+      queue.forEach(task => task.unprocessed = true);
+      return;
+    }
+    
+    var slice = queue.splice(0, throttle.concurrency);
+    var fetchRequests = slice.map(task => buildChatFetchRequest(task.request));
+    var callStartTime = new Date();
+    var responses;
+    var networkError = null;
+    
+    try {
+      responses = UrlFetchApp.fetchAll(fetchRequests);
+    } catch (e) {
+      // fetchAll throws when any request fails at the network level
+      responses = slice.map(() => null);
+      networkError = createApiError(null, e);
+    }
+    
+    var callDuration = (new Date() - callStartTime) / 1000 / slice.length;
+    var retryQueue = [];
+    var retryDelay = 0;
+    
+    for (var i = 0; i < slice.length; i++) {
+      var task = slice[i];
+      var response = responses[i];
+      var error = response ? null : networkError;
+      task.duration += callDuration;
+      
+      if (response) {
+        var code = response.getResponseCode();
+        if (code >= 200 && code < 300) {
+          try {
+            task.result = parseChatFetchResponse(response, task.request.response_format);
+          } catch (e) {
+            task.error = e;
+          }
+          continue;
+        }
+        error = createApiError(response);
+      }
+      
+      if (error.retryable && task.attempts < maxRetries) {
+        retryDelay = Math.max(retryDelay, getRetryDelayMs(response, task.attempts));
+        task.attempts++;
+        retryQueue.push(task);
+      } else {
+        task.error = error;
+      }
+    }
+    
+    updateThrottle(throttle, responses, slice);
+    
+    if (retryQueue.length > 0) {
+      // Retries wait in the throttle, so a delay past the deadline leaves them unprocessed
+      debugLog(`Retrying ${retryQueue.length} requests in ${retryDelay} ms with concurrency ${throttle.concurrency}`);
+      throttle.resumeAt = Math.max(throttle.resumeAt, new Date().getTime() + retryDelay);
+      queue = retryQueue.concat(queue);
+    }
+  }
+}
+
+/**
+ * Creates the state used to adapt the number of parallel requests
+ * @param {number} maxConcurrency - The CONCURRENCY configured by the user
+ * @returns {Object} The throttle
+ */
+function createThrottle(maxConcurrency) {
+  return {
+    maxConcurrency: maxConcurrency,
+    concurrency: maxConcurrency,
+    resumeAt: 0
+  };
+}
+
+/**
+ * Adapts the throttle to the last set of responses. Concurrency is halved on
+ * rate limits and grows back by one after a clean round. When the remaining
+ * request or token quota reported by the headers would not cover another
+ * round, the next round waits for the quota to reset.
+ * @param {Object} throttle - The throttle from createThrottle
+ * @param {Array} responses - The responses from UrlFetchApp.fetchAll
+ * @param {Array} tasks - The tasks the responses belong to
+ */
+function updateThrottle(throttle, responses, tasks) {
+  var rateLimited = false;
+  var receivedResponse = false;
+  var tokensPerRequest = 0;
+  var remainingRequests = Infinity;
+  var remainingTokens = Infinity;
+  var resetMs = 0;
+  
+  for (var i = 0; i < responses.length; i++) {
+    if (!responses[i]) continue;
+    
+    receivedResponse = true;
+    if (responses[i].getResponseCode() === 429) {
+      rateLimited = true;
+    }
+    
+    if (tasks[i].result) {
+      tokensPerRequest = Math.max(tokensPerRequest, tasks[i].result.totalTokens);
+    }
+    
+    // Keep the lowest remaining quota reported in this round
+    var headers = getLowerCaseHeaders(responses[i]);
+    var requests = Number(headers['x-ratelimit-remaining-requests'] || headers['anthropic-ratelimit-requests-remaining']);
+    var tokens = Number(headers['x-ratelimit-remaining-tokens'] || headers['anthropic-ratelimit-tokens-remaining']);
+    if (!isNaN(requests)) remainingRequests = Math.min(remainingRequests, requests);
+    if (!isNaN(tokens)) remainingTokens = Math.min(remainingTokens, tokens);
+    resetMs = Math.max(resetMs, getRateLimitResetMs(responses[i]));
+  }
+  
+  if (!receivedResponse) {
+    return;
+  }
+  
+  if (rateLimited) {
+    throttle.concurrency = Math.max(1, Math.floor(throttle.concurrency / 2));
+  } else {
+    throttle.concurrency = Math.min(throttle.maxConcurrency, throttle.concurrency + 1);
+  }
+  
+  var lowOnRequests = remainingRequests < throttle.concurrency;
+  var lowOnTokens = tokensPerRequest > 0 && remainingTokens < tokensPerRequest * throttle.concurrency;
+  
+  if (lowOnRequests || lowOnTokens) {
+    var waitMs = Math.min(MAX_RETRY_DELAY_MS, resetMs);
+    throttle.resumeAt = Math.max(throttle.resumeAt, new Date().getTime() + waitMs);
+    debugLog(`Rate limit almost reached (requests: ${remainingRequests}, tokens: ${remainingTokens}), pausing for ${waitMs} ms`);
+  }
+}
+
+/**
+ * Waits until the throttle allows the next round of requests
+ * @param {Object} throttle - The throttle from createThrottle
+ * @param {number} deadline - The time in milliseconds by which the next round has to start
+ * @returns {boolean} False without waiting when the next round could not start before the deadline
+ */
+function waitForThrottle(throttle, deadline) {
+  var now = new Date().getTime();
+  if (Math.max(now, throttle.resumeAt) >= deadline) {
+    return false;
+  }
+  
+  if (throttle.resumeAt > now) {
+    Utilities.sleep(throttle.resumeAt - now);
+  }
+  return true;
+}
+  
+/* ======== Placeholder Replacement Function ======== */
+/**
+ * Fills in the placeholders of a prompt with the values of a Data row
+ * @param {string} prompt - The prompt text
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @returns {string} The prompt to send
+ */
+function replaceVariables(prompt, headers, rowData) {
+  return renderTemplate(parseTemplate(prompt), { headers: headers, rowData: rowData, loop: null });
+}
+
+/* ======== Template Functions ======== */
+
+/**
+ * Filters that can be applied to a placeholder, e.g. {{Industry|default:"unknown"|upper}}.
+ * Each filter gets the value and its optional argument.
+ */
+const TEMPLATE_FILTERS = {
+  default: (value, fallback) => isEmptyTemplateValue(value) ? (fallback !== undefined ? fallback : '') : value,
+  upper: value => formatTemplateValue(value).toUpperCase(),
+  lower: value => formatTemplateValue(value).toLowerCase(),
+  trim: value => formatTemplateValue(value).trim(),
+  truncate: (value, length) => {
+    var text = formatTemplateValue(value);
+    var maxLength = parseInt(length);
+    return !isNaN(maxLength) && text.length > maxLength ? text.substring(0, maxLength) : text;
+  },
+  json: value => JSON.stringify(value instanceof Date ? value.toISOString() : value),
+  date: (value, format) => {
+    var date = value instanceof Date ? value : new Date(value);
+    if (isEmptyTemplateValue(value) || isNaN(date.getTime())) return value;
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), format || 'yyyy-MM-dd');
+  },
+  number: (value, decimals) => {
+    var number = Number(value);
+    if (isEmptyTemplateValue(value) || isNaN(number)) return value;
+    return decimals !== undefined ? number.toFixed(parseInt(decimals)) : String(number);
+  }
+};
+
+/**
+ * Parses a prompt template into nodes. Supported tags:
+ *   {{Column}} and {{Column|filter|filter:arg}}  the value of a column
+ *   {{#if Column}}...{{else}}...{{/if}}          text used when the value is not empty
+ *   {{#unless Column}}...{{/unless}}             text used when the value is empty
+ *   {{#each Pattern *}}...{{/each}}              repeated for every column matching the pattern,
+ *                                               with {{@column}}, {{@key}} (the part matched by *) and {{@value}}
+ * A backslash before the braces, \{{, writes literal braces.
+ * @param {string} template - The template text
+ * @returns {Array} The parsed nodes
+ */
+function parseTemplate(template) {
+  var tagPattern = /\\\{\{|\{\{([\s\S]*?)\}\}/g;
+  var root = { children: [] };
+  var stack = [root];
+  var current = root.children;
+  var lastIndex = 0;
+  var match;
+  
+  template = String(template === null || template === undefined ? '' : template);
+  
+  while ((match = tagPattern.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: template.substring(lastIndex, match.index) });
+    }
+    lastIndex = tagPattern.lastIndex;
+    
+    // Escaped braces
+    if (match[1] === undefined) {
+      current.push({ type: 'text', value: '{{' });
+      continue;
+    }
+    
+    var tag = match[1].trim();
+    var block;
+    
+    if ((block = tag.match(/^#(if|unless|each)\s+(.+)$/))) {
+      var node = block[1] === 'each' ? 
+        { type: 'each', pattern: block[2].trim(), children: [] } : 
+        { type: 'if', name: block[2].trim(), negate: block[1] === 'unless', children: [], elseChildren: [] };
+      node.tag = block[1];
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (tag === 'else') {
+      var open = stack[stack.length - 1];
+      if (open.type !== 'if' || current === open.elseChildren) {
+        throw new Error('{{else}} outside of {{#if}} or {{#unless}}');
+      }
+      current = open.elseChildren;
+    } else if ((block = tag.match(/^\/(if|unless|each)$/))) {
+      var closed = stack[stack.length - 1];
+      if (stack.length === 1 || closed.tag !== block[1]) {
+        throw new Error(`Unexpected {{/${block[1]}}}` + (stack.length > 1 ? `, {{#${closed.tag}}} is still open` : ''));
+      }
+      stack.pop();
+      var parent = stack[stack.length - 1];
+      current = parent === root ? root.children : (parent.type === 'if' && parent.elseChildren.length > 0 ? parent.elseChildren : parent.children);
+    } else {
+      current.push(parseTemplateValueTag(tag, match[0]));
+    }
+  }
+  
+  if (stack.length > 1) {
+    throw new Error(`{{#${stack[stack.length - 1].tag}}} is not closed`);
+  }
+  
+  if (lastIndex < template.length) {
+    current.push({ type: 'text', value: template.substring(lastIndex) });
+  }
+  
+  return root.children;
+}
+
+/**
+ * Parses a value tag such as Industry|default:"unknown"|upper. Column names may
+ * contain | themselves, so a tag with filters also keeps its whole text, which
+ * is used instead when a column has that name. An unknown filter is only an
+ * error when no column matches the whole tag, so it is kept in filterError.
+ * @param {string} tag - The tag without braces
+ * @param {string} raw - The tag as written, kept for unknown columns
+ * @returns {Object} The value node
+ */
+function parseTemplateValueTag(tag, raw) {
+  // Split on | outside of quotes
+  var parts = tag.match(/(?:"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^|])+/g) || [''];
+  var filters = [];
+  var filterError = null;
+  
+  for (var i = 1; i < parts.length; i++) {
+    var filterMatch = parts[i].trim().match(/^([A-Za-z_]+)(?:\s*:\s*([\s\S]+))?$/);
+    if (!filterMatch || !Object.prototype.hasOwnProperty.call(TEMPLATE_FILTERS, filterMatch[1])) {
+      filterError = `Unknown filter "${parts[i].trim()}" in ${raw}, available filters: ${Object.keys(TEMPLATE_FILTERS).join(', ')}`;
+      break;
+    }
+    
+    var arg = filterMatch[2] !== undefined ? filterMatch[2].trim() : undefined;
+    if (arg !== undefined && /^(["']).*\1$/.test(arg)) {
+      arg = arg.substring(1, arg.length - 1).replace(/\\(.)/g, '$1');
+    }
+    filters.push({ name: filterMatch[1], arg: arg });
+  }
+  
+  return { 
+    type: 'value', 
+    name: parts[0].trim(), 
+    filters: filters, 
+    wholeName: parts.length > 1 ? tag : null, 
+    filterError: filterError, 
+    raw: raw 
+  };
+}
+
+/**
+ * Renders parsed template nodes
+ * @param {Array} nodes - The nodes returned by parseTemplate
+ * @param {Object} context - The headers, the rowData and the current #each loop
+ * @returns {string} The rendered text
+ */
+function renderTemplate(nodes, context) {
+  var output = '';
+  
+  for (var i = 0; i < nodes.length; i++) {
+    var node = nodes[i];
+    
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'value') {
+      // A column named after the whole tag is used as it is, otherwise the tag is read as a column with filters
+      var lookup = node.wholeName ? lookupTemplateValue(node.wholeName, context) : { found: false };
+      var filters = lookup.found ? [] : node.filters;
+      if (!lookup.found) {
+        if (node.filterError) {
+          throw new Error(node.filterError);
+        }
+        lookup = lookupTemplateValue(node.name, context);
+      }
+      
+      // Unknown columns are left as written
+      if (!lookup.found) {
+        output += node.raw;
+        continue;
+      }
+      
+      var value = lookup.value;
+      for (var j = 0; j < filters.length; j++) {
+        value = TEMPLATE_FILTERS[filters[j].name](value, filters[j].arg);
+      }
+      output += formatTemplateValue(value);
+    } else if (node.type === 'if') {
+      var isSet = !isEmptyTemplateValue(lookupTemplateValue(node.name, context).value);
+      output += renderTemplate(isSet !== node.negate ? node.children : node.elseChildren, context);
+    } else if (node.type === 'each') {
+      var patternRegex = new RegExp('^' + node.pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('(.*)') + '$');
+      
+      for (var colIndex = 0; colIndex < context.headers.length; colIndex++) {
+        var header = String(context.headers[colIndex] || '').trim();
+        var headerMatch = header ? header.match(patternRegex) : null;
+        if (!headerMatch) continue;
+        
+        output += renderTemplate(node.children, {
+          headers: context.headers,
+          rowData: context.rowData,
+          loop: { column: header, key: headerMatch[1] !== undefined ? headerMatch[1] : header, value: context.rowData[colIndex] }
+        });
+      }
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Looks up a column value, or @column, @key and @value inside {{#each}}
+ * @param {string} name - The column name
+ * @param {Object} context - The render context
+ * @returns {Object} found and value
+ */
+function lookupTemplateValue(name, context) {
+  if (name.charAt(0) === '@') {
+    var loopValue = context.loop ? context.loop[name.substring(1)] : undefined;
+    return { found: loopValue !== undefined, value: loopValue === null || loopValue === undefined ? '' : loopValue };
+  }
+  
+  for (var colIndex = 0; colIndex < context.headers.length; colIndex++) {
+    var header = context.headers[colIndex];
+    if (header !== null && header !== undefined && String(header).trim() === name) {
+      var value = context.rowData[colIndex];
+      return { found: true, value: value === null || value === undefined ? '' : value };
+    }
+  }
+  
+  return { found: false, value: '' };
+}
+
+/**
+ * Lists the columns and #each patterns a template refers to
+ * @param {string} template - The template text
+ * @param {Array} columns - The known column names, a tag matching one of them as a whole refers to it (optional)
+ * @returns {Array} The column names and patterns
+ */
+function getTemplateReferences(template, columns) {
+  var references = [];
+  
+  function collect(nodes) {
+    for (var i = 0; i < nodes.length; i++) {
+      var isWholeName = nodes[i].wholeName && columns && columns.indexOf(nodes[i].wholeName) >= 0;
+      var name = nodes[i].type === 'each' ? nodes[i].pattern : (isWholeName ? nodes[i].wholeName : nodes[i].name);
+      if (name && name.charAt(0) !== '@' && references.indexOf(name) < 0) {
+        references.push(name);
+      }
+      if (nodes[i].children) collect(nodes[i].children);
+      if (nodes[i].elseChildren) collect(nodes[i].elseChildren);
+    }
+  }
+  
+  collect(parseTemplate(template));
+  return references;
+}
+
+/**
+ * Lists the unknown filters of a template, leaving out tags that match a known column as a whole
+ * @param {string} template - The template text
+ * @param {Array} columns - The known column names
+ * @returns {Array} The error messages
+ */
+function getTemplateFilterErrors(template, columns) {
+  var filterErrors = [];
+  
+  function collect(nodes) {
+    for (var i = 0; i < nodes.length; i++) {
+      if (nodes[i].filterError && columns.indexOf(nodes[i].wholeName) < 0) {
+        filterErrors.push(nodes[i].filterError);
+      }
+      if (nodes[i].children) collect(nodes[i].children);
+      if (nodes[i].elseChildren) collect(nodes[i].elseChildren);
+    }
+  }
+  
+  collect(parseTemplate(template));
+  return filterErrors;
+}
+
+function isEmptyTemplateValue(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function formatTemplateValue(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/* ======== Prompt Validation Functions ======== */
+
+// Anthropic accepts temperatures up to 1, OpenAI and compatible servers up to 2
+const MAX_TEMPERATURE = { 'anthropic': 1 };
+const DEFAULT_MAX_TEMPERATURE = 2;
+const MAX_TOKENS_WARNING_LIMIT = 32000;
+
+/**
+ * Checks the active prompts for problems that would waste requests: unknown
+ * placeholders, missing models, out of range settings, duplicate names and
+ * output columns that overlap
+ * @returns {Object} The errors, which block a run, and the warnings
+ */
+function lintPrompts() {
+  var errors = [];
+  var warnings = [];
+  var prompts;
+  
+  try {
+    prompts = getActivePrompts();
+  } catch (e) {
+    // Invalid schemas, templates, conditions and dependency cycles
+    errors.push(e.message);
+    return { errors: errors, warnings: warnings };
+  }
+  
+  if (prompts.length === 0) {
+    errors.push('No active prompts found in the Prompts sheet.');
+    return { errors: errors, warnings: warnings };
+  }
+  
+  var dataSheet = getDataSheet();
+  var headerRange = dataSheet.getLastColumn() > 0 ? dataSheet.getRange(1, 1, 1, dataSheet.getLastColumn()) : null;
+  var headerRow = headerRange ? headerRange.getValues()[0].map(header => String(header).trim()) : [];
+  var headers = headerRow.filter(header => header);
+  
+  // Header notes by column name, addOutputColumn marks the columns created for prompt outputs
+  var headerNotes = {};
+  var notes = headerRange ? headerRange.getNotes()[0] : [];
+  headerRow.forEach((header, colIndex) => headerNotes[header] = notes[colIndex]);
+  
+  var maxTemperature = MAX_TEMPERATURE[getProviderName()] || DEFAULT_MAX_TEMPERATURE;
+  var promptNames = prompts.map(prompt => String(prompt.name));
+  
+  // Columns that will exist once the prompts have run
+  var knownColumns = headers.slice();
+  for (var i = 0; i < prompts.length; i++) {
+    knownColumns = knownColumns.concat(getPromptOutputColumns(prompts[i]));
+  }
+  
+  for (var i = 0; i < prompts.length; i++) {
+    var prompt = prompts[i];
+    var label = `Prompt "${prompt.name}"`;
+    
+    if (!String(prompt.name).trim()) {
+      errors.push(`The prompt in position ${i + 1} has no name.`);
+    } else if (promptNames.indexOf(String(prompt.name)) !== i) {
+      errors.push(`${label} is defined more than once, its output columns would be mixed up.`);
+    }
+    
+    for (var j = 0; j < prompts.length; j++) {
+      if (j !== i && String(prompt.name).indexOf(prompts[j].name + ' - ') === 0) {
+        errors.push(`${label} collides with the columns generated by "${prompts[j].name}", rename one of them.`);
+        break;
+      }
+    }
+    
+    if (!prompt.model) {
+      errors.push(`${label} has no model, and DEFAULT_MODEL is not set in Config.`);
+    }
+    
+    if (prompt.outputMode.type === 'text' && prompt.schema) {
+      errors.push(`${label} has a Schema but the text output mode, remove the Schema or use json.`);
+    }
+    
+    if (prompt.outputMapping && prompt.outputMode.type === 'json' && prompt.schema && prompt.flatten.objectArrays !== 'index') {
+      var schemaPaths = getFlattenedSchemaKeys(prompt.schema, '', 0, prompt.flatten);
+      prompt.outputMapping.filter(entry => schemaPaths.indexOf(entry.key) < 0).forEach(entry => {
+        warnings.push(`${label} maps the key "${entry.key}", which is not in its Schema, so "${entry.column}" stays empty.`);
+      });
+    }
+    
+    // Writing into an existing column that was not created for a prompt output would replace its values
+    getPromptOutputColumns(prompt).filter(column => headers.indexOf(column) >= 0 && !isOutputHeaderNote(headerNotes[column])).forEach(column => {
+      warnings.push(`${label} writes to the column "${column}", which is an input column of the Data sheet, so its values will be replaced.`);
+    });
+    
+    for (var j = 0; j < i; j++) {
+      if (String(prompts[j].name) === String(prompt.name)) continue;
+      var sharedColumns = getPromptOutputColumns(prompt).filter(column => getPromptOutputColumns(prompts[j]).indexOf(column) >= 0);
+      if (sharedColumns.length > 0) {
+        errors.push(`${label} and "${prompts[j].name}" both write to the column "${sharedColumns[0]}".`);
+      }
+    }
+    
+    var temperature = Number(prompt.temperature);
+    if (prompt.temperature === '' || isNaN(temperature) || temperature < 0 || temperature > maxTemperature) {
+      errors.push(`${label} has the temperature "${prompt.temperature}", it must be a number from 0 to ${maxTemperature}.`);
+    }
+    
+    var maxTokens = Number(prompt.max_tokens);
+    if (!(maxTokens >= 1) || Math.floor(maxTokens) !== maxTokens) {
+      errors.push(`${label} has the max tokens "${prompt.max_tokens}", it must be a whole number above 0.`);
+    } else if (maxTokens > MAX_TOKENS_WARNING_LIMIT) {
+      warnings.push(`${label} allows ${maxTokens} output tokens, more than most models support.`);
+    }
+    
+    getTemplateFilterErrors(prompt.text, knownColumns)
+      .concat(getTemplateFilterErrors(prompt.systemPrompt, knownColumns))
+      .forEach(message => errors.push(`${label}: ${message}.`));
+    
+    // Check every column the prompt text, system prompt and condition refer to
+    var references = getTemplateReferences(prompt.text, knownColumns)
+      .concat(getTemplateReferences(prompt.systemPrompt, knownColumns))
+      .concat(getTemplateReferences(prompt.conditionText, knownColumns));
+    for (var j = 0; j < references.length; j++) {
+      var columnName = references[j];
+      if (columnName.indexOf('*') >= 0 || knownColumns.indexOf(columnName) >= 0) continue;
+      
+      var producer = prompt.dependsOn.length > 0 ? 
+        prompts.filter(other => prompt.dependsOn.indexOf(other.name) >= 0 && other.outputMode.type === 'json' && 
+                                !other.outputMapping && columnName.indexOf(other.name + ' - ') === 0)[0] : null;
+      var suggestion = findClosestMatch(columnName, knownColumns);
+      var hint = suggestion ? ` Did you mean {{${suggestion}}}?` : '';
+      
+      if (producer && !producer.schema) {
+        warnings.push(`${label} uses {{${columnName}}}, which is only filled if "${producer.name}" returns the key ` + 
+                      `"${columnName.substring(producer.name.length + 3)}". Add a Schema to "${producer.name}" to be sure.` + hint);
+      } else {
+        errors.push(`${label} uses {{${columnName}}}, but there is no such column.` + hint);
+      }
+    }
+  }
+  
+  return { errors: errors, warnings: warnings };
+}
+
+/**
+ * Formats the result of lintPrompts for an alert
+ * @param {Object} result - The errors and warnings
+ * @returns {string} The report
+ */
+function formatPromptReport(result) {
+  var sections = [];
+  if (result.errors.length > 0) {
+    sections.push('Errors:\n' + result.errors.map(message => '- ' + message).join('\n'));
+  }
+  if (result.warnings.length > 0) {
+    sections.push('Warnings:\n' + result.warnings.map(message => '- ' + message).join('\n'));
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * Validates the prompts before a run or batch. Errors stop it; warnings are
+ * shown with the choice to continue, or only logged when there is no UI.
+ * @returns {boolean} True if the run can go ahead
+ */
+function checkPromptsBeforeRun() {
+  var result = lintPrompts();
+  var report = formatPromptReport(result);
+  
+  if (result.errors.length > 0) {
+    logError(new Date(), 0, 'Prompt Validation', report, '');
+    showAlert('Prompt Validation Failed', 'Nothing was sent. Please fix the prompts first.\n\n' + report);
+    return false;
+  }
+  
+  if (result.warnings.length > 0) {
+    var ui = getUiIfAvailable();
+    if (!ui) {
+      Logger.log('Prompt validation warnings:\n' + report);
+      return true;
+    }
+    return ui.alert('Prompt Validation Warnings', report + '\n\nContinue anyway?', ui.ButtonSet.YES_NO) === ui.Button.YES;
+  }
+  
+  return true;
+}
+
+/**
+ * Finds the candidate closest to a name, to suggest a fix for a typo
+ * @param {string} name - The misspelled name
+ * @param {Array} candidates - The valid names
+ * @returns {string} The closest candidate, or null if none is close enough
+ */
+function findClosestMatch(name, candidates) {
+  var best = null;
+  var bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+  
+  for (var i = 0; i < candidates.length; i++) {
+    var distance = getEditDistance(name.toLowerCase(), String(candidates[i]).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidates[i];
+      bestDistance = distance;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Computes the Levenshtein distance between two strings
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} The number of single character edits between them
+ */
+function getEditDistance(a, b) {
+  var previous = [];
+  for (var j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+  
+  for (var i = 1; i <= a.length; i++) {
+    var current = [i];
+    for (var j = 1; j <= b.length; j++) {
+      var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+  
+/* ======== Calculate OpenAI API Cost ======== */
+function calculateCost(model, inputTokens, outputTokens, isBatch = false, cachedTokens = 0) {
+  var pricing = getPricing(model, isBatch).pricing;
+  
+  // Calculate cost with cached tokens
+  var nonCachedTokens = inputTokens - cachedTokens;
+  var nonCachedCost = (nonCachedTokens / 1000000) * pricing.input_per_1m;
+  
+  var cachedCost = 0;
+  if (cachedTokens > 0) {
+    cachedCost = (cachedTokens / 1000000) * pricing.cached_input_per_1m;
+  }
+  
+  var outputCost = (outputTokens / 1000000) * pricing.output_per_1m;
+  
+  return nonCachedCost + cachedCost + outputCost;
+}
+
+/* ======== Pricing Functions ======== */
+
+// Prices of unknown models are guessed from this model
+const DEFAULT_PRICING_MODEL = 'gpt-4o-mini';
+
+// Columns of the Pricing sheet, prices in USD per 1M tokens
+const PRICING_SHEET_COLUMNS = {
+  model: 'Model',
+  input_per_1m: 'Input per 1M',
+  cached_input_per_1m: 'Cached Input per 1M',
+  output_per_1m: 'Output per 1M',
+  batch_input_per_1m: 'Batch Input per 1M',
+  batch_cached_input_per_1m: 'Batch Cached Input per 1M',
+  batch_output_per_1m: 'Batch Output per 1M',
+  aliases: 'Aliases'
+};
+
+// The pricing tables are read once per execution, costs are calculated for every response
+var pricingTables = null;
+
+/**
+ * Finds the prices of a model. Dated snapshots such as gpt-4o-mini-2024-07-18
+ * resolve to their base model, and names listed under Aliases in the Pricing
+ * sheet (such as Azure deployments) to the model of their row.
+ * @param {string} model - The model name, as configured or as returned by the API
+ * @param {boolean} isBatch - True for batch pricing
+ * @returns {Object} The pricing, the model it belongs to, and whether it was guessed
+ */
+function getPricing(model, isBatch) {
+  var tables = getPricingTables();
+  var matchedModel = resolvePricingModel(model, tables);
+  var guessed = !matchedModel;
+  
+  if (guessed) {
+    matchedModel = DEFAULT_PRICING_MODEL;
+  }
+  
+  return {
+    pricing: (isBatch ? tables.batch : tables.realtime)[matchedModel],
+    model: matchedModel,
+    guessed: guessed
+  };
+}
+
+/**
+ * Explains a guessed price for the Cost Summary
+ * @param {string} model - The model name
+ * @returns {string} The warning, or an empty string if the price is known
+ */
+function getPricingWarning(model) {
+  if (!model || !getPricing(model, false).guessed) {
+    return '';
+  }
+  return `Price guessed: "${model}" is not in the Pricing sheet, ${DEFAULT_PRICING_MODEL} prices were used.`;
+}
+
+/**
+ * Maps a model name to a model in the pricing tables
+ * @param {string} model - The model name
+ * @param {Object} tables - The tables from getPricingTables
+ * @returns {string} The model in the tables, or null if there is none
+ */
+function resolvePricingModel(model, tables) {
+  var name = String(model || '').trim().toLowerCase();
+  var baseName = name.replace(/-(\d{4}-\d{2}-\d{2}|\d{8}|latest)$/, '');
+  var candidates = [name, baseName];
+  
+  for (var i = 0; i < candidates.length; i++) {
+    if (tables.aliases[candidates[i]]) return tables.aliases[candidates[i]];
+    if (tables.realtime[candidates[i]]) return candidates[i];
+  }
+  
+  // Otherwise the longest model the name starts with, so gpt-4o-mini-x is not priced as gpt-4o
+  var prefixMatch = null;
+  for (var key in tables.realtime) {
+    if (name.indexOf(key + '-') === 0 && (!prefixMatch || key.length > prefixMatch.length)) {
+      prefixMatch = key;
+    }
+  }
+  
+  return prefixMatch;
+}
+
+/**
+ * Builds the realtime and batch pricing tables from the built-in prices and
+ * the Pricing sheet, which overrides and extends them. Missing batch prices
+ * are half the realtime prices, as with the OpenAI Batch API.
+ * @returns {Object} The realtime and batch prices by model, and the models by alias
+ */
+function getPricingTables() {
+  if (pricingTables) {
+    return pricingTables;
+  }
+  
+  var tables = { realtime: {}, batch: {}, aliases: {} };
+  
+  function setPrices(model, prices) {
+    var input = prices.input_per_1m;
+    var cachedInput = prices.cached_input_per_1m !== undefined ? prices.cached_input_per_1m : input;
+    
+    tables.realtime[model] = {
+      input_per_1m: input,
+      cached_input_per_1m: cachedInput,
+      output_per_1m: prices.output_per_1m
+    };
+    tables.batch[model] = {
+      input_per_1m: prices.batch_input_per_1m !== undefined ? prices.batch_input_per_1m : input / 2,
+      cached_input_per_1m: prices.batch_cached_input_per_1m !== undefined ? prices.batch_cached_input_per_1m : cachedInput / 2,
+      output_per_1m: prices.batch_output_per_1m !== undefined ? prices.batch_output_per_1m : prices.output_per_1m / 2
+    };
+  }
+  
+  for (var model in PRICING_CONFIG) {
+    var batchPrices = PRICING_CONFIG_BATCH[model] || {};
+    setPrices(model, {
+      input_per_1m: PRICING_CONFIG[model].input_per_1m,
+      cached_input_per_1m: PRICING_CONFIG[model].cached_input_per_1m,
+      output_per_1m: PRICING_CONFIG[model].output_per_1m,
+      batch_input_per_1m: batchPrices.input_per_1m,
+      batch_output_per_1m: batchPrices.output_per_1m
+    });
+  }
+  
+  var pricingSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Pricing');
+  var pricingData = pricingSheet ? pricingSheet.getDataRange().getValues() : [];
+  var headers = pricingData.length > 0 ? pricingData[0].map(header => String(header).trim()) : [];
+  
+  for (var i = 1; i < pricingData.length; i++) {
+    var row = {};
+    for (var key in PRICING_SHEET_COLUMNS) {
+      var colIndex = headers.indexOf(PRICING_SHEET_COLUMNS[key]);
+      var value = colIndex >= 0 ? pricingData[i][colIndex] : '';
+      if (value !== '' && value !== null) {
+        row[key] = key === 'model' || key === 'aliases' ? String(value).trim().toLowerCase() : parseFloat(value);
+      }
+    }
+    
+    // A row needs a model and its input and output prices, or it only adds aliases to a built-in model
+    if (!row.model) continue;
+    if (isNaN(row.input_per_1m) || isNaN(row.output_per_1m)) {
+      if (!tables.realtime[row.model]) {
+        Logger.log(`Ignoring Pricing row ${i + 1}: "${row.model}" needs an Input and Output price`);
+        continue;
+      }
+    } else {
+      setPrices(row.model, row);
+    }
+    
+    String(row.aliases || '').split(',').forEach(function(alias) {
+      alias = alias.trim();
+      if (alias) tables.aliases[alias] = row.model;
+    });
+  }
+  
+  pricingTables = tables;
+  return tables;
+}
+
+/**
+ * Opens the Pricing sheet, creating it with the built-in prices so that they
+ * can be edited
+ */
+function editPricing() {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var pricingSheet = ss.getSheetByName('Pricing');
+  
+  if (!pricingSheet) {
+    pricingSheet = ss.insertSheet('Pricing');
+    var columns = Object.keys(PRICING_SHEET_COLUMNS);
+    var tables = getPricingTables();
+    var rows = [columns.map(key => PRICING_SHEET_COLUMNS[key])];
+    
+    for (var model in tables.realtime) {
+      var realtime = tables.realtime[model];
+      var batch = tables.batch[model];
+      rows.push([model, realtime.input_per_1m, realtime.cached_input_per_1m, realtime.output_per_1m, 
+                 batch.input_per_1m, batch.cached_input_per_1m, batch.output_per_1m, '']);
+    }
+    
+    pricingSheet.getRange(1, 1, rows.length, columns.length).setValues(rows);
+    pricingSheet.getRange(1, 1, 1, columns.length).setFontWeight('bold');
+    pricingSheet.setFrozenRows(1);
+  }
+  
+  ss.setActiveSheet(pricingSheet);
+}
+
+/* ======== Cost Estimate Functions ======== */
+
+// Rough number of characters per token for English text and JSON
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates the cost of running the prompts for some rows. Every request is
+ * rendered as it would be sent, and each response is assumed to use all of
+ * its max_tokens, so the estimate is an upper bound for the output. Requests
+ * in the response cache cost nothing. Conditions are checked for the first stage only, since later stages depend
+ * on outputs that do not exist yet. Only the prompts that will run for a row are counted (see findPromptsToRun).
+ * @param {Array} prompts - The prompts from getActivePrompts
+ * @param {Array} dataRange - The Data sheet values, including the header row
+ * @param {Array} rowIndexes - The indexes of the rows in dataRange
+ * @param {Object} options - force: every prompt runs again without the response cache,
+ *                           queued: only the prompts a batch has queued for the rows (optional)
+ * @returns {Object} The requests, inputTokens, outputTokens, realtimeCost and batchCost per prompt name, and the totals
+ */
+function estimateRunCost(prompts, dataRange, rowIndexes, options) {
+  options = options || {};
+  var headers = dataRange[0];
+  var seed = getSeed();
+  var estimate = { prompts: {}, requests: 0, inputTokens: 0, outputTokens: 0, realtimeCost: 0, batchCost: 0 };
+  
+  for (var i = 0; i < prompts.length; i++) {
+    estimate.prompts[prompts[i].name] = { requests: 0, inputTokens: 0, outputTokens: 0, realtimeCost: 0, batchCost: 0 };
+  }
+  
+  for (var r = 0; r < rowIndexes.length; r++) {
+    var rowData = dataRange[rowIndexes[r]];
+    var skippedNames = getSkippedPrompts(prompts, headers, rowData, 0);
+    var promptsToRun = options.queued ? getQueuedPrompts(prompts, headers, rowData) : findPromptsToRun(prompts, headers, rowData, options.force);
+    
+    for (var i = 0; i < prompts.length; i++) {
+      var prompt = prompts[i];
+      if (skippedNames.indexOf(prompt.name) >= 0 || promptsToRun.indexOf(prompt.name) < 0) continue;
+      if (prompt.dependsOn.some(name => skippedNames.indexOf(name) >= 0)) {
+        skippedNames.push(prompt.name);
+        continue;
+      }
+      
+      var request = buildPromptRequest(prompt, headers, rowData, seed);
+      if (!options.force && getCachedResponse(getRequestCacheKey(request))) continue;
+      
+      var inputTokens = estimateRequestTokens(request);
+      var outputTokens = Number(prompt.max_tokens) || 0;
+      
+      var promptEstimate = estimate.prompts[prompt.name];
+      promptEstimate.requests++;
+      promptEstimate.inputTokens += inputTokens;
+      promptEstimate.outputTokens += outputTokens;
+      promptEstimate.realtimeCost += calculateCost(prompt.model, inputTokens, outputTokens, false);
+      promptEstimate.batchCost += calculateCost(prompt.model, inputTokens, outputTokens, true);
+    }
+  }
+  
+  for (var name in estimate.prompts) {
+    ['requests', 'inputTokens', 'outputTokens', 'realtimeCost', 'batchCost'].forEach(function(key) {
+      estimate[key] += estimate.prompts[name][key];
+    });
+  }
+  
+  return estimate;
+}
+
+/**
+ * Approximates the input tokens of a chat request from the length of its
+ * messages and, for structured output, its schema
+ * @param {Object} request - The request from buildChatRequest
+ * @returns {number} The estimated number of input tokens
+ */
+function estimateRequestTokens(request) {
+  var characters = request.messages.reduce((total, message) => total + String(message.content).length, 0);
+  if (request.response_format && request.response_format.json_schema) {
+    characters += JSON.stringify(request.response_format.json_schema.schema).length;
+  }
+  // A few tokens of overhead per message
+  return Math.ceil(characters / CHARS_PER_TOKEN) + request.messages.length * 4;
+}
+
+/**
+ * Shows the estimated cost of a run with a breakdown per prompt and asks for
+ * confirmation. A realtime run can be switched to batch mode from the dialog.
+ * Without a UI there is nobody to ask, so the run goes ahead.
+ * @param {Object} estimate - The estimate from estimateRunCost
+ * @param {number} rowCount - The number of rows in the run
+ * @param {boolean} isRealtime - True for a realtime run, false for a batch
+ * @returns {string} 'run' to go ahead, 'batch' to create a batch instead, or 'cancel'
+ */
+function confirmCostEstimate(estimate, rowCount, isRealtime) {
+  var ui = getUiIfAvailable();
+  if (!ui) {
+    return 'run';
   }
-}
   
-/* ======== Cost Summary Functions ======== */
-function addPromptSummary(startTime, endTime, durationSeconds, promptName, rowsExecuted, inputTokens, outputTokens, cost, cachedTokens = 0) {
-  var costSummarySheet = getSheet('Cost Summary');
+  var costKey = isRealtime ? 'realtimeCost' : 'batchCost';
+  var lines = [];
   
-  // Initialize headers if sheet is empty
-  if (costSummarySheet.getLastRow() === 0) {
-    costSummarySheet.appendRow([
-      "Date", 
-      "Start Time", 
-      "End Time", 
-      "Duration (sec)", 
-      "Prompt Title", 
-      "No. of Rows Executed", 
-      "Total Input Tokens", 
-      "Cached Tokens",
-      "Total Output Tokens", 
-      "Total Tokens", 
-      "Total Cost (USD)"
-    ]);
+  for (var name in estimate.prompts) {
+    var promptEstimate = estimate.prompts[name];
+    lines.push(`${name}: ${promptEstimate.requests} requests, ~${promptEstimate.inputTokens} input tokens, ` + 
+               `up to ${promptEstimate.outputTokens} output tokens, ${formatCost(promptEstimate[costKey])}`);
   }
   
-  // Format date and times
-  var dateStr = Utilities.formatDate(startTime, Session.getScriptTimeZone(), "yyyy-MM-dd");
-  var startTimeStr = Utilities.formatDate(startTime, Session.getScriptTimeZone(), "HH:mm:ss");
-  var endTimeStr = Utilities.formatDate(endTime, Session.getScriptTimeZone(), "HH:mm:ss");
+  var message = `Estimated cost for ${rowCount} rows${isRealtime ? '' : ' in batch mode'}, ` + 
+                `assuming every response uses all of its Max Tokens:\n\n${lines.join('\n')}\n\n` + 
+                `Total: ${estimate.requests} requests, ${formatCost(estimate[costKey])} at most`;
   
-  // Add new row for this prompt execution
-  costSummarySheet.appendRow([
-    dateStr,
-    startTimeStr,
-    endTimeStr,
-    durationSeconds.toFixed(1),
-    promptName,
-    rowsExecuted,
-    inputTokens,
-    cachedTokens,
-    outputTokens,
-    inputTokens + outputTokens,
-    cost.toFixed(6)
-  ]);
+  if (!isRealtime) {
+    return ui.alert('Confirm Batch', message + '\n\nCreate the batch?', ui.ButtonSet.OK_CANCEL) === ui.Button.OK ? 'run' : 'cancel';
+  }
   
-  // Format the cost column as currency
-  var lastRow = costSummarySheet.getLastRow();
-  costSummarySheet.getRange(lastRow, 11).setNumberFormat("$0.000000");
+  message += `\nIn batch mode: ${formatCost(estimate.batchCost)} at most, sent in batches of ${getBatchSize()} rows` + 
+             '\n\nYes: run now\nNo: create a batch instead\nCancel: do not run';
+  var response = ui.alert('Confirm Run', message, ui.ButtonSet.YES_NO_CANCEL);
   
-  // Format the duration as number with 1 decimal place
-  costSummarySheet.getRange(lastRow, 4).setNumberFormat("0.0");
+  if (response === ui.Button.YES) return 'run';
+  if (response === ui.Button.NO) return 'batch';
+  return 'cancel';
 }
-  
-/* ======== Save Cleaned Response to Data Sheet ======== */
-function saveResponseToDataSheet(sheet, headers, rowIndex, response, promptName) {
-  try {
-    // No need to parse the response again as it's already a JSON object
-    var parsedResponse = response;
-
-    for (var key in parsedResponse) {
-      if (Object.prototype.hasOwnProperty.call(parsedResponse, key)) {
-        var colName = promptName + ' - ' + key; // Format: Prompt Name - Key
-        var colIndex = headers.indexOf(colName);
-
-        // If the column does not exist, create it
-        if (colIndex < 0) {
-          colIndex = headers.length;
-          sheet.getRange(1, colIndex + 1).setValue(colName);
-          headers.push(colName);
-        }
 
-        // Write response data to the correct cell in the row
-        sheet.getRange(rowIndex + 1, colIndex + 1).setValue(parsedResponse[key]);
+/**
+ * Formats a cost in dollars for a message
+ * @param {number} cost - The cost
+ * @returns {string} The formatted cost
+ */
+function formatCost(cost) {
+  if (cost > 0 && cost < 0.0001) {
+    return 'under $0.0001';
+  }
+  return '$' + (cost < 1 ? cost.toFixed(4) : cost.toFixed(2));
+}
+
+/* ======== Spending Limit Functions ======== */
+
+/**
+ * Adds up the spending of today and of this month: the costs in the Cost
+ * Summary sheet and the estimated cost of the batches not processed yet
+ * @returns {Object} The day and month totals in USD
+ */
+function getRecordedSpend() {
+  var timeZone = Session.getScriptTimeZone();
+  var today = Utilities.formatDate(new Date(), timeZone, "yyyy-MM-dd");
+  var spend = { day: 0, month: 0 };
+  
+  function addSpend(date, cost) {
+    // Sheets turns the yyyy-MM-dd text of the Cost Summary into dates
+    var day = date instanceof Date ? Utilities.formatDate(date, timeZone, "yyyy-MM-dd") : String(date).substring(0, 10);
+    cost = parseFloat(cost) || 0;
+    if (day === today) spend.day += cost;
+    if (day.substring(0, 7) === today.substring(0, 7)) spend.month += cost;
+  }
+  
+  var costSummarySheet = getSheet('Cost Summary');
+  var costData = costSummarySheet.getDataRange().getValues();
+  var dateColIndex = costData[0].indexOf("Date");
+  var costColIndex = costData[0].indexOf("Total Cost (USD)");
+  if (dateColIndex >= 0 && costColIndex >= 0) {
+    for (var i = 1; i < costData.length; i++) {
+      addSpend(costData[i][dateColIndex], costData[i][costColIndex]);
+    }
+  }
+  
+  var batchStatusSheet = getSheet('Batch Status');
+  var batchData = batchStatusSheet.getDataRange().getValues();
+  var createdColIndex = batchData[0].indexOf("Created At");
+  var processedColIndex = batchData[0].indexOf("Processed");
+  var estimatedCostColIndex = batchData[0].indexOf("Estimated Cost");
+  if (createdColIndex >= 0 && processedColIndex >= 0 && estimatedCostColIndex >= 0) {
+    for (var i = 1; i < batchData.length; i++) {
+      if (batchData[i][processedColIndex] === "No" && batchData[i][createdColIndex]) {
+        addSpend(new Date(batchData[i][createdColIndex]), batchData[i][estimatedCostColIndex]);
       }
     }
-  } catch (e) {
-    debugLog("Error processing response: " + e);
-    logError(new Date(), rowIndex, 'Error processing response', `Error processing response: ${e.toString()}`, '');
   }
+  
+  return spend;
 }
+
+/**
+ * Finds the first spending limit that a cost reaches
+ * @param {number} runCost - The cost of the current run or batch
+ * @param {Object} recordedSpend - The spending from getRecordedSpend
+ * @returns {Object} The key, limit, period and spent amount of the limit, or null if none is reached
+ */
+function findExceededSpendingCap(runCost, recordedSpend) {
+  var caps = [
+    { key: CONFIG_KEYS.MAX_COST_PER_RUN, period: 'this run', spent: runCost },
+    { key: CONFIG_KEYS.MAX_COST_PER_DAY, period: 'today', spent: recordedSpend.day + runCost },
+    { key: CONFIG_KEYS.MAX_COST_PER_MONTH, period: 'this month', spent: recordedSpend.month + runCost }
+  ];
+  
+  for (var i = 0; i < caps.length; i++) {
+    caps[i].limit = getCostLimit(caps[i].key);
+    if (caps[i].limit > 0 && caps[i].spent >= caps[i].limit) {
+      return caps[i];
+    }
+  }
   
-/* ======== OpenAI API Function ======== */
-function callOpenAI(apiKey, model, prompt, temperature, max_tokens, seed) {
-  var url = 'https://api.openai.com/v1/chat/completions';
+  return null;
+}
 
-  var payload = {
-    model: model,
-    messages: [
-      { role: 'system', content: 'You are a helpful assistant. Return valid JSON only.' },
-      { role: 'user', content: prompt }
-    ],
-    temperature: temperature,
-    max_tokens: max_tokens,
-    seed: seed,
-    response_format: { type: "json_object" }
-  };
+/**
+ * Adds up the cost in the metrics of a run
+ * @param {Object} promptMetrics - The metrics per prompt name
+ * @returns {number} The total cost in USD
+ */
+function getMetricsCost(promptMetrics) {
+  var cost = 0;
+  for (var promptName in promptMetrics) {
+    cost += promptMetrics[promptName].cost;
+  }
+  return cost;
+}
+  
+/* ======== Response Cache Functions ======== */
 
-  var options = {
-    method: 'post',
-    contentType: 'application/json',
-    headers: { Authorization: 'Bearer ' + apiKey },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
+// Responses are kept in a hidden sheet; a cell holds at most 50,000 characters
+const RESPONSE_CACHE_SHEET = 'Response Cache';
+const MAX_CACHED_RESPONSE_LENGTH = 50000;
 
-  var response = UrlFetchApp.fetch(url, options);
-  var jsonText = response.getContentText().trim();
-  var json = JSON.parse(jsonText);
+// The oldest tenth of the cache is removed once it holds more responses than this
+const MAX_CACHED_RESPONSES = 5000;
 
-  if (json.error) {
-    throw new Error('OpenAI API error: ' + json.error.message);
+// The keys are read once per execution, a response is only read when its key is looked up
+var responseCache = null;
+
+/**
+ * Computes the cache key of a chat request from everything that shapes the
+ * response: model, messages, temperature, max_tokens, seed and response_format
+ * @param {Object} request - The request from buildChatRequest
+ * @returns {string} The SHA-256 hash as 64 hex characters
+ */
+function getRequestCacheKey(request) {
+  var keyData = JSON.stringify([
+    request.model,
+    request.messages.map(message => [message.role, message.content]),
+    request.temperature,
+    request.max_tokens,
+    request.seed,
+    request.response_format
+  ]);
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, keyData, Utilities.Charset.UTF_8);
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reads the keys of the Response Cache sheet with the row each one is in
+ * @returns {Object} The cache: sheet, rows by key and the responses read so far by key
+ */
+function loadResponseCache() {
+  if (!responseCache) {
+    var cacheSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RESPONSE_CACHE_SHEET);
+    responseCache = { sheet: cacheSheet, rows: {}, responses: {} };
+    
+    var lastRow = cacheSheet ? cacheSheet.getLastRow() : 0;
+    var keys = lastRow > 1 ? cacheSheet.getRange(2, 1, lastRow - 1, 1).getValues() : [];
+    for (var i = 0; i < keys.length; i++) {
+      responseCache.rows[keys[i][0]] = i + 2;
+    }
   }
+  return responseCache;
+}
 
-  // Parse the content string into a JSON object
-  var contentStr = json.choices[0]?.message?.content || '{}';
-  var parsedContent;
+/**
+ * Looks up a cached response
+ * @param {string} cacheKey - The key from getRequestCacheKey
+ * @returns {Object} The parsed response, or null if it is not cached
+ */
+function getCachedResponse(cacheKey) {
+  var cache = loadResponseCache();
+  var cacheRow = cache.rows[cacheKey];
+  if (!cacheRow) {
+    return null;
+  }
+  
+  if (!(cacheKey in cache.responses)) {
+    cache.responses[cacheKey] = cache.sheet.getRange(cacheRow, 3).getValue();
+  }
+  
+  if (!cache.responses[cacheKey]) {
+    return null;
+  }
   
   try {
-    parsedContent = JSON.parse(contentStr);
+    return JSON.parse(cache.responses[cacheKey]);
   } catch (e) {
-    throw new Error('Failed to parse OpenAI response as JSON: ' + e.toString());
+    return null;
+  }
+}
+
+/**
+ * Adds a response to the cache, replacing the cached one when a request was run again
+ * @param {string} cacheKey - The key from getRequestCacheKey
+ * @param {string} model - The model that answered
+ * @param {Object} response - The parsed response
+ */
+function cacheResponse(cacheKey, model, response) {
+  var responseText = JSON.stringify(response);
+  if (responseText.length > MAX_CACHED_RESPONSE_LENGTH) {
+    return;
   }
   
-  // Extract cached tokens if available
-  var cachedTokens = 0;
-  if (json.usage && json.usage.prompt_tokens_details && json.usage.prompt_tokens_details.cached_tokens) {
-    cachedTokens = json.usage.prompt_tokens_details.cached_tokens;
+  var isCached = !!getCachedResponse(cacheKey);
+  var cache = loadResponseCache();
+  if (isCached && cache.responses[cacheKey] === responseText) {
+    return;
   }
   
-  return {
-    text: JSON.stringify(parsedContent),
-    parsedJson: parsedContent,
-    inputTokens: json.usage?.prompt_tokens || 0,
-    outputTokens: json.usage?.completion_tokens || 0,
-    totalTokens: json.usage?.total_tokens || 0,
-    cachedTokens: cachedTokens
-  };
-}
+  if (!cache.sheet) {
+    cache.sheet = SpreadsheetApp.getActiveSpreadsheet().insertSheet(RESPONSE_CACHE_SHEET);
+    cache.sheet.appendRow(["Key", "Model", "Response", "Created At"]);
+    cache.sheet.hideSheet();
+  }
   
-/* ======== Placeholder Replacement Function ======== */
-function replaceVariables(prompt, headers, rowData) {
-  var finalPrompt = prompt;
-  for (var colIndex = 0; colIndex < headers.length; colIndex++) {
-    var placeholder = '{{' + headers[colIndex].trim() + '}}';
-    var value = rowData[colIndex] !== undefined ? rowData[colIndex] : "N/A";
-    finalPrompt = finalPrompt.replace(new RegExp(placeholder, 'g'), value);
+  var cacheRow = cache.rows[cacheKey];
+  if (cacheRow) {
+    cache.sheet.getRange(cacheRow, 1, 1, 4).setValues([[cacheKey, model, responseText, new Date().toISOString()]]);
+  } else {
+    cache.sheet.appendRow([cacheKey, model, responseText, new Date().toISOString()]);
+    cache.rows[cacheKey] = cache.sheet.getLastRow();
   }
-  return finalPrompt;
+  cache.responses[cacheKey] = responseText;
+  
+  trimResponseCache(cache);
 }
+
+/**
+ * Removes the oldest tenth of the cached responses once there are more than MAX_CACHED_RESPONSES.
+ * New responses are appended, so the oldest ones are at the top of the sheet.
+ * @param {Object} cache - The cache from loadResponseCache
+ */
+function trimResponseCache(cache) {
+  var cachedCount = cache.sheet.getLastRow() - 1;
+  if (cachedCount <= MAX_CACHED_RESPONSES) {
+    return;
+  }
   
-/* ======== Calculate OpenAI API Cost ======== */
-function calculateCost(model, inputTokens, outputTokens, isBatch = false, cachedTokens = 0) {
-  // Normalize model name to lowercase
-  var modelLower = model.toLowerCase();
-  
-  // Get pricing configuration based on whether this is a batch request
-  var pricingConfig = isBatch ? PRICING_CONFIG_BATCH : PRICING_CONFIG;
-  
-  // Get pricing for the model, or use default if not found
-  var pricing = pricingConfig[modelLower];
-  if (!pricing) {
-    // If model not found in batch pricing but this is a batch, try standard pricing
-    if (isBatch && PRICING_CONFIG[modelLower]) {
-      pricing = {
-        input_per_1m: PRICING_CONFIG[modelLower].input_per_1m / 2,
-        output_per_1m: PRICING_CONFIG[modelLower].output_per_1m / 2
-      };
-    } else {
-      // Default to gpt-4o-mini pricing if model not found
-      pricing = pricingConfig["gpt-4o-mini"];
+  var removeCount = cachedCount - Math.floor(MAX_CACHED_RESPONSES * 0.9);
+  cache.sheet.deleteRows(2, removeCount);
+  debugLog(`Removed the ${removeCount} oldest cached responses`);
+  
+  // The remaining responses moved up, so their rows are read again on the next lookup
+  responseCache = null;
+}
+
+/**
+ * Turns a cached response into the result of a chat call that used no tokens
+ * @param {Object|string} response - The parsed response
+ * @returns {Object} The result in the form returned by parseChatFetchResponse
+ */
+function createCachedChatResult(response) {
+  return {
+    text: typeof response === 'string' ? response : JSON.stringify(response),
+    parsedJson: response,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    cachedTokens: 0
+  };
+}
+
+/**
+ * Checks if every remaining prompt of a row can be answered from the cache,
+ * rendering each stage with the cached outputs of the stages before it
+ * @param {Array} prompts - The prompts from getActivePrompts
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @param {number} stage - The first stage to answer
+ * @param {Array} promptNames - The prompts to answer, the others keep their current outputs (optional, defaults to all)
+ * @returns {Object} The cached responses with their prompts and the skipped prompt names, or null if any response is missing
+ */
+function findCachedRowResponses(prompts, headers, rowData, stage, promptNames) {
+  var rowHeaders = headers.slice();
+  var values = rowData.slice();
+  var seed = getSeed();
+  var responses = [];
+  var skippedNames = [];
+  
+  for (var s = stage; s <= getLastPromptStage(prompts); s++) {
+    skippedNames = getSkippedPrompts(prompts, rowHeaders, values, s);
+    
+    for (var i = 0; i < prompts.length; i++) {
+      var prompt = prompts[i];
+      if (prompt.stage !== s || skippedNames.indexOf(prompt.name) >= 0) continue;
+      if (promptNames && promptNames.indexOf(prompt.name) < 0) continue;
+      
+      var request = buildPromptRequest(prompt, rowHeaders, values, seed);
+      var response = getCachedResponse(getRequestCacheKey(request));
+      if (!response) {
+        return null;
+      }
+      responses.push({ prompt: prompt, response: response });
+      
+      // Later stages see the output as if it had been saved
+      var columns = getResponseColumns(response, prompt.name, prompt);
+      for (var colName in columns) {
+        if (rowHeaders.indexOf(colName) < 0) {
+          rowHeaders.push(colName);
+        }
+        values[rowHeaders.indexOf(colName)] = columns[colName];
+      }
     }
   }
   
-  // Calculate cost with cached tokens
-  var nonCachedTokens = inputTokens - cachedTokens;
-  var nonCachedCost = (nonCachedTokens / 1000000) * pricing.input_per_1m;
+  return { responses: responses, skippedNames: skippedNames };
+}
+
+/**
+ * Adds a Cost Summary entry for the prompts answered from the cache when a batch was created
+ * @param {Object} cacheHits - The number of cached responses per prompt name
+ */
+function addBatchCacheSummary(cacheHits) {
+  var now = new Date();
+  for (var promptName in cacheHits) {
+    addPromptSummary(now, now, 0, promptName + " (Batch)", cacheHits[promptName], 0, 0, 0, 0, cacheHits[promptName]);
+  }
+}
+
+function clearResponseCache() {
+  var cacheSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RESPONSE_CACHE_SHEET);
+  var cachedCount = cacheSheet ? Math.max(0, cacheSheet.getLastRow() - 1) : 0;
   
-  // Calculate cached tokens cost if applicable and not a batch request
-  var cachedCost = 0;
-  if (cachedTokens > 0 && !isBatch && pricing.cached_input_per_1m) {
-    cachedCost = (cachedTokens / 1000000) * pricing.cached_input_per_1m;
+  if (cachedCount === 0) {
+    showAlert('Response Cache Empty', 'There are no cached responses.');
+    return;
   }
   
-  var outputCost = (outputTokens / 1000000) * pricing.output_per_1m;
+  var ui = SpreadsheetApp.getUi();
+  var response = ui.alert('Clear Response Cache', 
+                         `Delete all ${cachedCount} cached responses? Identical requests will be sent to the API again.`, 
+                         ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) {
+    return;
+  }
   
-  return nonCachedCost + cachedCost + outputCost;
+  cacheSheet.deleteRows(2, cachedCount);
+  responseCache = null;
+  showAlert('Response Cache Cleared', `Deleted ${cachedCount} cached responses.`);
 }
   
 /* ======== Batch Processing Functions ======== */
   
 /**
  * Creates a batch job for the specified number of rows
+ * @param {number} maxRows - The maximum number of rows to process
+ * @param {number} batchSize - The number of rows in the batch
+ * @param {Object} options - The rows to batch when not the next pending ones (see findRowsToRun) and
+ *                           confirmCost: ask for confirmation of the estimated cost first (optional)
  */
-function createBatch(maxRows, batchSize) {
-  var ui = SpreadsheetApp.getUi();
+function createBatch(maxRows, batchSize, options) {
+  options = options || {};
   var apiKey = getApiKey();
   
-  if (!apiKey) {
-    showAlert('Error', 'API key is missing. Please add it to the Config sheet.', ui.ButtonSet.OK);
+  if (!apiKey && getProvider().requiresApiKey) {
+    showAlert('Error', 'API key is missing. Please add it to the Config sheet.');
     return;
   }
   
   try {
+    // Check the prompts before anything is sent
+    if (!checkPromptsBeforeRun()) {
+      return;
+    }
+    
     // Find the next set of rows to process
-    var nextBatchInfo = findNextBatchRows(maxRows, batchSize);
+    var nextBatchInfo = options.retryFailed || options.rows ? findBatchRowsToRun(options, batchSize) : findNextBatchRows(maxRows, batchSize);
+    
+    if (!nextBatchInfo) {
+      showAlert('No Data', 'No more rows to process or all rows are already processed.');
+      return;
+    }
+    
+    // Estimate the cost of all stages of the batch
+    var rowIndexes = nextBatchInfo.rowNumbers.map(row => row - 1);
+    var estimate = estimateRunCost(getActivePrompts(), getDataSheet().getDataRange().getValues(), rowIndexes, { force: options.force });
+    
+    // Refuse batches that could take the spending over a limit
+    var spendingCap = findExceededSpendingCap(estimate.batchCost, getRecordedSpend());
+    if (spendingCap) {
+      var message = `This batch could cost up to ${formatCost(estimate.batchCost)}, which would bring the cost of ${spendingCap.period} to ` + 
+                    `${formatCost(spendingCap.spent)}. The limit set by ${spendingCap.key} is ${formatCost(spendingCap.limit)}. ` + 
+                    `Lower the ${CONFIG_KEYS.BATCH_SIZE} or raise the limit in Config.`;
+      logError(new Date(), 0, 'Spending Limit', message, '');
+      showAlert('Spending Limit Reached', message);
+      return;
+    }
     
-    if (!nextBatchInfo || nextBatchInfo.startRow > nextBatchInfo.endRow) {
-      showAlert('No Data', 'No more rows to process or all rows are already processed.', ui.ButtonSet.OK);
+    // Let the user confirm the estimated cost before the batch is created
+    if (options.confirmCost && confirmCostEstimate(estimate, rowIndexes.length, false) !== 'run') {
       return;
     }
     
     // Prepare the batch data
-    var batchData = prepareBatchDataRange(nextBatchInfo.startRow, nextBatchInfo.endRow);
+    var batchData = prepareBatchDataRows(nextBatchInfo.rowNumbers, 0, options.force);
+    
+    // Rows whose prompts were all skipped or cached are done without a batch
+    if (batchData && batchData.requests.length === 0) {
+      saveBatchRowUpdates(batchData);
+    }
     
     // Check if there are any requests to process
     if (!batchData || !batchData.requests || batchData.requests.length === 0) {
-      showAlert('No Data', 'No requests to process in the selected rows.', ui.ButtonSet.OK);
+      showAlert('No Data', 'No requests to process in the selected rows.' + 
+               (batchData && batchData.completedRows.length > 0 ? ` ${batchData.completedRows.length} rows were completed because their prompts were skipped or answered from the response cache.` : ''));
       return;
     }
     
     // Check batch size limits
     if (batchData.requests.length > 50000) {
       showAlert('Batch Too Large', 
-               'This batch contains ' + batchData.requests.length + ' requests, which exceeds the OpenAI limit of 50,000 requests per batch. Please reduce the ' + CONFIG_KEYS.BATCH_SIZE + ' in Config.',
-               ui.ButtonSet.OK);
+               'This batch contains ' + batchData.requests.length + ' requests, which exceeds the OpenAI limit of 50,000 requests per batch. Please reduce the ' + CONFIG_KEYS.BATCH_SIZE + ' in Config.');
       return;
     }
     
     // Create the batch job
     var batch = createBatchJob(batchData.requests);
     
+    // The rows are only changed once the batch exists
+    saveBatchRowUpdates(batchData);
+    
     // Store batch information in the Batch Status sheet
-    var batchId = storeBatchInfo(batch, batchData.rowIndices);
+    var batchId = storeBatchInfo(batch, batchData.rowIndices, 0, estimate.batchCost);
     
     // Update the Data sheet with batch IDs
     updateDataSheetWithBatchId(batchData.rowIndices, batchId);
     
+    var commandName = options.retryFailed ? 'Retry Failed Rows' : 'Create Batch';
+    var remainingMessage = nextBatchInfo.remainingRows > 0 ? 
+      (options.rows ? 
+        `${nextBatchInfo.remainingRows} of the chosen rows did not fit in this batch. Run the same command again and choose to run only the pending rows to batch them.` : 
+        'There are ' + nextBatchInfo.remainingRows + ' more rows to process. Run "' + commandName + '" again to process the next set.') : 
+      'All rows have been processed.';
+    var rowList = toRowRanges(nextBatchInfo.rowNumbers).map(range => range[0] === range[1] ? range[0] : `${range[0]} to ${range[1]}`).join(', ');
     showAlert('Success', 
-             `Batch job created successfully!\n\nProcessed rows ${nextBatchInfo.startRow} to ${nextBatchInfo.endRow}\nBatch ID: ${batch.id}\nStatus: ${batch.status}\nTotal Requests: ${batchData.requests.length}\n\n${nextBatchInfo.remainingRows > 0 ? 'There are ' + nextBatchInfo.remainingRows + ' more rows to process. Run "Create Batch" again to process the next set.' : 'All rows have been processed.'}`, 
-             ui.ButtonSet.OK);
+             `Batch job created successfully!\n\nProcessed rows ${rowList}\nBatch ID: ${batch.id}\nStatus: ${batch.status}\nTotal Requests: ${batchData.requests.length}\n\n${remainingMessage}`);
              
   } catch (e) {
     debugLog('Error creating batch: ' + e.toString());
-    showAlert('Error', 'Failed to create batch: ' + e.toString(), ui.ButtonSet.OK);
+    showAlert('Error', 'Failed to create batch: ' + e.toString());
   }
 }
   
 /**
- * Finds the next set of rows to process
+ * Finds the next set of pending rows to send in a batch, see findBatchRowsToRun
+ * @param {number} maxRows - The maximum number of rows to process
+ * @param {number} batchSize - The maximum number of rows with requests in the batch
+ * @returns {Object} The rowNumbers to batch and the number of remainingRows, or null when no row needs processing
  */
 function findNextBatchRows(maxRows, batchSize) {
-  var dataSheet = getSheet('Data');
+  var dataSheet = getDataSheet();
   
   if (!dataSheet) {
     return null;
@@ -1159,65 +5550,95 @@ function findNextBatchRows(maxRows, batchSize) {
     return null;
   }
   
-  var dataRange = dataSheet.getRange(1, 1, lastRow, dataSheet.getLastColumn()).getValues();
-  var headers = dataRange[0];
+  // If no Status column exists, add one
+  var headers = dataSheet.getRange(1, 1, 1, dataSheet.getLastColumn()).getValues()[0];
+  getOrAddColumn(dataSheet, headers, "Status");
   
-  // Find the Status column
-  var statusColIndex = headers.indexOf("Status");
-  if (statusColIndex < 0) {
-    // If no Status column exists, add one
-    statusColIndex = headers.length;
-    dataSheet.getRange(1, statusColIndex + 1).setValue("Status");
-    
-    // Update our local copy of the data
-    headers.push("Status");
-    for (var i = 1; i < dataRange.length; i++) {
-      dataRange[i][statusColIndex] = 0;
-    }
-  }
+  return findBatchRowsToRun({}, Math.min(maxRows, batchSize));
+}
   
-  // Find the first row that hasn't been processed yet
-  var startRow = -1;
-  for (var i = 1; i < dataRange.length; i++) {
-    if (!dataRange[i][statusColIndex] || dataRange[i][statusColIndex] === 0) {
-      startRow = i + 1; // +1 because row indices are 1-based
-      break;
+/**
+ * Finds the next rows to send in a batch: the rows that need processing (see
+ * findRowsToRun) in sheet order, however far apart they are. Rows whose prompts
+ * are all skipped by their conditions are completed with the batch and do not
+ * count towards its size.
+ * @param {Object} options - The rows to batch (see findRowsToRun)
+ * @param {number} batchSize - The maximum number of rows with requests in the batch
+ * @returns {Object} The rowNumbers to batch and the number of remainingRows that still need processing, or null when there are none
+ */
+function findBatchRowsToRun(options, batchSize) {
+  var dataRange = getDataSheet().getDataRange().getValues();
+  var headers = dataRange[0];
+  var prompts = getActivePrompts();
+  var rowIndexes = findRowsToRun(dataRange, options, prompts);
+  var rowNumbers = [];
+  var requestRowCount = 0;
+  
+  for (var r = 0; r < rowIndexes.length; r++) {
+    var rowData = dataRange[rowIndexes[r]];
+    var promptsToRun = findPromptsToRun(prompts, headers, rowData, options.force);
+    var hasRequests = findRowBatchPrompts(prompts, headers, rowData, promptsToRun, 0).prompts.length > 0;
+    
+    if (hasRequests) {
+      if (requestRowCount >= batchSize) break;
+      requestRowCount++;
     }
+    rowNumbers.push(rowIndexes[r] + 1);
   }
   
-  // If no unprocessed rows were found
-  if (startRow === -1) {
-    return {
-      startRow: 0,
-      endRow: 0,
-      remainingRows: 0
-    };
+  if (rowNumbers.length === 0) {
+    return null;
   }
   
-  // Calculate the end row based on batch size
-  var endRow = Math.min(startRow + batchSize - 1, lastRow);
+  return {
+    rowNumbers: rowNumbers,
+    remainingRows: rowIndexes.length - rowNumbers.length
+  };
+}
+
+/**
+ * Finds the prompts a batch sends for a row: the prompts to run of the first
+ * stage from the given one on that has any whose condition is met
+ * @param {Array} prompts - The prompts from getActivePrompts
+ * @param {Array} headers - The Data sheet headers
+ * @param {Array} rowData - The row values
+ * @param {Array} promptsToRun - The names of the prompts to run for the row
+ * @param {number} stage - The first stage to look at
+ * @returns {Object} The stage, its prompts to send and the skippedNames up to that stage
+ */
+function findRowBatchPrompts(prompts, headers, rowData, promptsToRun, stage) {
+  var lastStage = getLastPromptStage(prompts);
   
-  // Count how many rows are left after this batch
-  var remainingRows = 0;
-  for (var i = endRow; i < dataRange.length; i++) {
-    if (!dataRange[i][statusColIndex] || dataRange[i][statusColIndex] === 0) {
-      remainingRows++;
+  for (var rowStage = stage; ; rowStage++) {
+    var skippedNames = getSkippedPrompts(prompts, headers, rowData, rowStage);
+    var stagePrompts = prompts.filter(prompt => prompt.stage === rowStage && 
+      promptsToRun.indexOf(prompt.name) >= 0 && skippedNames.indexOf(prompt.name) < 0);
+    
+    if (stagePrompts.length > 0 || rowStage >= lastStage) {
+      return { stage: rowStage, prompts: stagePrompts, skippedNames: skippedNames };
     }
   }
-  
-  return {
-    startRow: startRow,
-    endRow: endRow,
-    remainingRows: remainingRows
-  };
 }
   
 /**
- * Prepares batch data for the specified range of rows
+ * Prepares batch data for the specified rows. The first stage queues the
+ * prompts that are missing or changed for each row (see findPromptsToRun),
+ * later stages run what is still queued. Each row sends the prompts of its
+ * first stage from this one on that has any left to run. The Data sheet is
+ * not changed, see saveBatchRowUpdates.
+ * @param {Array} rowNumbers - The row numbers in the Data sheet, in ascending order
+ * @param {number} stage - The prompt stage to create requests for (defaults to the first)
+ * @param {boolean} force - Whether every prompt runs again without the response cache (optional)
+ * @returns {Object} The requests, the rowIndices they were created for, the
+ *   completedRows that have nothing left to run because their prompts were skipped
+ *   or answered from the response cache, the cacheHits per prompt name and the
+ *   rowUpdates to save with the batch
  */
-function prepareBatchDataRange(startRow, endRow) {
-  var dataSheet = getSheet('Data');
-  var dataRange = dataSheet.getRange(1, 1, endRow, dataSheet.getLastColumn()).getValues();
+function prepareBatchDataRows(rowNumbers, stage, force) {
+  stage = stage || 0;
+  var dataSheet = getDataSheet();
+  var lastRow = rowNumbers.length > 0 ? rowNumbers[rowNumbers.length - 1] : 1;
+  var dataRange = dataSheet.getRange(1, 1, lastRow, dataSheet.getLastColumn()).getValues();
   var headers = dataRange[0];
   
   var defaultSeed = getSeed();
@@ -1232,84 +5653,186 @@ function prepareBatchDataRange(startRow, endRow) {
   
   var requests = [];
   var rowIndices = [];
+  var completedRows = [];
+  var cacheHits = {};
+  var rowUpdates = [];
+  
+  function addCachedResponse(rowUpdate, prompt, response) {
+    rowUpdate.cachedResponses.push({ prompt: prompt, response: response });
+    cacheHits[prompt.name] = (cacheHits[prompt.name] || 0) + 1;
+  }
   
-  // Process each row in the range
-  for (var i = startRow - 1; i < endRow; i++) {
+  // Process each row
+  for (var r = 0; r < rowNumbers.length; r++) {
+    var i = rowNumbers[r] - 1;
     var rowData = dataRange[i];
+    var rowRequests = [];
     
-    // Process each prompt for this row
-    for (var j = 0; j < prompts.length; j++) {
-      var prompt = prompts[j];
-      var promptName = prompt.name;
-      var promptText = prompt.text;
-      var model = prompt.model;
-      var temperature = prompt.temperature;
-      var maxTokens = prompt.max_tokens;
-      var seed = defaultSeed;
+    // Rows whose prompts are all up to date are left as they are
+    var promptsToRun = stage > 0 ? getQueuedPrompts(prompts, headers, rowData) : findPromptsToRun(prompts, headers, rowData, force);
+    if (promptsToRun.length === 0) continue;
+    
+    // Find the first stage with prompts to run whose condition is met for this row
+    var batchPrompts = findRowBatchPrompts(prompts, headers, rowData, promptsToRun, stage);
+    var rowStage = batchPrompts.stage;
+    var skippedNames = batchPrompts.skippedNames;
+    
+    // Skipped prompts count as run, the others wait for the batch
+    var versionChanges = createPromptVersionChanges(prompts, promptsToRun.filter(name => skippedNames.indexOf(name) < 0), true);
+    Object.assign(versionChanges, createPromptVersionChanges(prompts, promptsToRun.filter(name => skippedNames.indexOf(name) >= 0)));
+    
+    // Cached responses can be left out of the batch when no later stage waits for their count
+    var isLastRowStage = !prompts.some(prompt => prompt.stage > rowStage && promptsToRun.indexOf(prompt.name) >= 0);
+    
+    // Process each prompt of the row's stage
+    for (var k = 0; k < batchPrompts.prompts.length; k++) {
+      var prompt = batchPrompts.prompts[k];
+      var j = prompts.indexOf(prompt);
       
-      // Replace variables in the prompt
-      var finalPrompt = replaceVariables(promptText, headers, rowData);
+      var promptName = prompt.name;
       
-      // Create a unique ID for this request that includes row and prompt info
-      var customId = `row-${i+1}-prompt-${j}-${encodeURIComponent(promptName)}`;
+      // Create the request object with the variables of the prompt replaced
+      var request = buildPromptRequest(prompt, headers, rowData, defaultSeed);
+      var cacheKey = getRequestCacheKey(request);
       
-      // Create the request object
-      var request = {
-        model: model,
-        messages: [
-          { role: 'system', content: 'You are a helpful assistant. Return valid JSON only.' },
-          { role: 'user', content: finalPrompt }
-        ],
-        temperature: temperature,
-        max_tokens: maxTokens,
-        seed: seed,
-        response_format: { type: "json_object" },
-        custom_id: customId
-      };
+      // Create a unique ID for this request that includes row and prompt info, and the cache key for its response
+      request.custom_id = `row-${i+1}-prompt-${j}-key-${cacheKey}-${encodeURIComponent(promptName)}`;
       
-      requests.push(request);
+      rowRequests.push({ prompt: prompt, request: request, cachedResponse: force ? null : getCachedResponse(cacheKey) });
+    }
+    
+    // A row whose remaining prompts were all answered before needs no batch at all
+    var rowUpdate = { rowNumber: i + 1, cachedResponses: [], skippedNames: skippedNames, versionChanges: versionChanges };
+    var cachedRow = rowRequests.length > 0 && !force ? findCachedRowResponses(prompts, headers, rowData, rowStage, promptsToRun) : null;
+    if (cachedRow) {
+      cachedRow.responses.forEach(cached => addCachedResponse(rowUpdate, cached.prompt, cached.response));
+      completedRows.push(i + 1);
+      rowUpdate.skippedNames = cachedRow.skippedNames;
+      rowUpdate.versionChanges = createPromptVersionChanges(prompts, promptsToRun);
+      rowUpdates.push(rowUpdate);
+      continue;
+    }
+    
+    for (var k = 0; k < rowRequests.length; k++) {
+      if (isLastRowStage && rowRequests[k].cachedResponse) {
+        addCachedResponse(rowUpdate, rowRequests[k].prompt, rowRequests[k].cachedResponse);
+        versionChanges[rowRequests[k].prompt.name].queued = false;
+      } else {
+        requests.push(rowRequests[k].request);
+      }
     }
     
-    // Add this row to the list of row indices
-    rowIndices.push(i + 1);
+    // Add this row to the list of row indices, a row without requests has all its prompts skipped
+    if (rowRequests.length > 0) {
+      rowIndices.push(i + 1);
+    } else {
+      completedRows.push(i + 1);
+      rowUpdate.skippedNames = getSkippedPrompts(prompts, headers, rowData, Infinity);
+    }
+    rowUpdates.push(rowUpdate);
   }
   
   return {
     requests: requests,
-    rowIndices: rowIndices
+    rowIndices: rowIndices,
+    completedRows: completedRows,
+    cacheHits: cacheHits,
+    rowUpdates: rowUpdates
   };
 }
+
+/**
+ * Saves the row changes found by prepareBatchDataRows: the responses taken from
+ * the response cache, the skipped prompts, the prompt versions and the Status of
+ * the completed rows. Called once the batch exists, or when no batch is needed,
+ * so that a batch that could not be created leaves the rows as they were.
+ * @param {Object} batchData - The batch data from prepareBatchDataRows
+ */
+function saveBatchRowUpdates(batchData) {
+  var dataSheet = getDataSheet();
+  var dataRange = dataSheet.getDataRange().getValues();
+  var headers = dataRange[0];
+  var prompts = getActivePrompts();
+  
+  batchData.rowUpdates.forEach(rowUpdate => {
+    var rowIndex = rowUpdate.rowNumber - 1;
+    rowUpdate.cachedResponses.forEach(cached => 
+      saveResponseToDataSheet(dataSheet, headers, rowIndex, cached.response, cached.prompt.name, dataRange[rowIndex], cached.prompt));
+    recordSkippedPrompts(dataSheet, headers, rowUpdate.rowNumber, rowUpdate.skippedNames);
+    updatePromptVersions(dataSheet, headers, rowUpdate.rowNumber, dataRange[rowIndex], prompts, rowUpdate.versionChanges);
+  });
+  
+  markBatchRowsCompleted(batchData.completedRows);
+  addBatchCacheSummary(batchData.cacheHits);
+}
+  
+/**
+ * Marks rows as completed in batch mode (status = 2) when all their prompts were skipped
+ * @param {Array} rowNumbers - The row numbers in the Data sheet
+ */
+function markBatchRowsCompleted(rowNumbers) {
+  if (!rowNumbers || rowNumbers.length === 0) return;
+  
+  var dataSheet = getDataSheet();
+  var headers = dataSheet.getRange(1, 1, 1, dataSheet.getLastColumn()).getValues()[0];
+  var statusColIndex = headers.indexOf("Status");
+  
+  if (statusColIndex < 0) return;
+  
+  for (var i = 0; i < rowNumbers.length; i++) {
+    dataSheet.getRange(rowNumbers[i], statusColIndex + 1).setValue(2);
+  }
+}
   
+// Status of Data rows waiting for the results of a batch. The Status they had
+// before is kept in a hidden column, to put back if the batch ends without them.
+const ROW_BATCH_STATUS = 'B';
+const STATUS_BEFORE_BATCH_COLUMN = 'Status Before Batch';
+
 /**
  * Updates the Data sheet with batch IDs for the rows in this batch
  */
 function updateDataSheetWithBatchId(rowIndices, batchId) {
   if (!rowIndices || rowIndices.length === 0) return;
   
-  var dataSheet = getSheet('Data');
-  var headers = dataSheet.getRange(1, 1, 1, dataSheet.getLastColumn()).getValues()[0];
+  var dataSheet = getDataSheet();
+  var data = dataSheet.getDataRange().getValues();
+  var headers = data[0];
   var batchIdColIndex = headers.indexOf("Batch ID");
   var statusColIndex = headers.indexOf("Status");
   
   if (batchIdColIndex < 0 || statusColIndex < 0) return;
   
-  // Update each row with the batch ID and set status to 1 (batch uploaded)
+  var statusBeforeColIndex = headers.indexOf(STATUS_BEFORE_BATCH_COLUMN);
+  if (statusBeforeColIndex < 0) {
+    statusBeforeColIndex = getOrAddColumn(dataSheet, headers, STATUS_BEFORE_BATCH_COLUMN);
+    dataSheet.hideColumns(statusBeforeColIndex + 1);
+  }
+  
+  // Update each row with the batch ID and mark it as waiting, rows of a later stage keep the Status from before the first
   for (var i = 0; i < rowIndices.length; i++) {
     var rowIndex = rowIndices[i];
+    var status = data[rowIndex - 1][statusColIndex];
+    if (status !== ROW_BATCH_STATUS) {
+      dataSheet.getRange(rowIndex, statusBeforeColIndex + 1).setValue(status);
+    }
     dataSheet.getRange(rowIndex, batchIdColIndex + 1).setValue(batchId);
-    dataSheet.getRange(rowIndex, statusColIndex + 1).setValue(1); // Status 1 = batch uploaded
+    dataSheet.getRange(rowIndex, statusColIndex + 1).setValue(ROW_BATCH_STATUS);
   }
 }
   
 /**
  * Stores batch information in the Batch Status sheet
+ * @param {Object} batch - The batch returned by the provider
+ * @param {Array} rowIndices - The row numbers in the batch
+ * @param {number} stage - The prompt stage of the batch (defaults to the first)
+ * @returns {string} The batch ID
  */
-function storeBatchInfo(batch, rowIndices) {
+function storeBatchInfo(batch, rowIndices, stage, estimatedCost) {
   var batchStatusSheet = getSheet('Batch Status');
   
-  // Create the sheet if it doesn't exist
-  if (!batchStatusSheet) {
-    batchStatusSheet = SpreadsheetApp.getActiveSpreadsheet().insertSheet('Batch Status');
+  // Add headers if the sheet is empty
+  if (batchStatusSheet.getLastRow() === 0) {
     batchStatusSheet.appendRow([
       "Batch ID",
       "OpenAI Batch ID",
@@ -1322,11 +5845,12 @@ function storeBatchInfo(batch, rowIndices) {
       "Total Requests",
       "Completed",
       "Failed",
-      "Processed"
+      "Processed",
+      "Stage"
     ]);
     
     // Format the header row
-    batchStatusSheet.getRange(1, 1, 1, 12).setFontWeight('bold');
+    batchStatusSheet.getRange(1, 1, 1, 13).setFontWeight('bold');
     batchStatusSheet.setFrozenRows(1);
   }
   
@@ -1349,8 +5873,68 @@ function storeBatchInfo(batch, rowIndices) {
     "No"
   ]);
   
+  // Stages are numbered from 1 in the sheet, sheets created before prompt chaining get the column added
+  var headers = batchStatusSheet.getRange(1, 1, 1, batchStatusSheet.getLastColumn()).getValues()[0];
+  var stageColIndex = getOrAddColumn(batchStatusSheet, headers, "Stage");
+  batchStatusSheet.getRange(batchStatusSheet.getLastRow(), stageColIndex + 1).setValue((stage || 0) + 1);
+  
+  // The worst case cost of the batch and its later stages, counted towards the spending limits until it is processed
+  var estimatedCostColIndex = getOrAddColumn(batchStatusSheet, headers, "Estimated Cost");
+  batchStatusSheet.getRange(batchStatusSheet.getLastRow(), estimatedCostColIndex + 1).setValue(estimatedCost || 0);
+  
+  // Results are written back to the sheets of the project the batch was created for
+  var projectColIndex = getOrAddColumn(batchStatusSheet, headers, "Project");
+  batchStatusSheet.getRange(batchStatusSheet.getLastRow(), projectColIndex + 1).setValue(getCurrentProject().name);
+  
   return batchId;
 }
+
+/**
+ * Creates the batch for the next prompt stage from the rows that completed
+ * their prompts in the current stage and still have prompts queued
+ * @param {string} batchId - The batch ID of the current stage
+ * @param {number} stage - The current prompt stage
+ * @param {Object} completedPrompts - The number of completed prompts per row number
+ * @param {Object} failedRows - The rows with a failed request, by row number
+ * @returns {string} The batch ID of the next stage, or null when no row can continue
+ */
+function createNextStageBatch(batchId, stage, completedPrompts, failedRows) {
+  var prompts = getActivePrompts();
+  var dataRange = getDataSheet().getDataRange().getValues();
+  var rowNumbers = [];
+  
+  for (var rowNumber in completedPrompts) {
+    if (!failedRows[rowNumber] && getQueuedPrompts(prompts, dataRange[0], dataRange[rowNumber - 1]).length > 0) {
+      rowNumbers.push(Number(rowNumber));
+    }
+  }
+  
+  if (rowNumbers.length === 0) {
+    return null;
+  }
+  
+  rowNumbers.sort((a, b) => a - b);
+  var batchData = prepareBatchDataRows(rowNumbers, stage + 1);
+  if (!batchData) {
+    return null;
+  }
+  
+  if (batchData.requests.length === 0) {
+    saveBatchRowUpdates(batchData);
+    return null;
+  }
+  
+  // The estimate covers the remaining stages, so the open batches count towards the spending limits
+  var estimate = estimateRunCost(prompts.filter(prompt => prompt.stage > stage), dataRange, batchData.rowIndices.map(row => row - 1), { queued: true });
+  
+  var batch = createBatchJob(batchData.requests);
+  saveBatchRowUpdates(batchData);
+  var nextBatchId = storeBatchInfo(batch, batchData.rowIndices, stage + 1, estimate.batchCost);
+  updateDataSheetWithBatchId(batchData.rowIndices, nextBatchId);
+  
+  Logger.log(`Created stage ${stage + 2} batch ${nextBatchId} (OpenAI ID: ${batch.id}) for ${rowNumbers.length} rows of batch ${batchId}`);
+  return nextBatchId;
+}
   
 /**
  * Processes a specific batch by its OpenAI batch ID
@@ -1367,12 +5951,16 @@ function processBatchById(batchId, openAIBatchId) {
   var openAIBatchIdColIndex = headers.indexOf("OpenAI Batch ID");
   var statusColIndex = headers.indexOf("Status");
   var outputFileIdColIndex = headers.indexOf("Output File ID");
+  var errorFileIdColIndex = headers.indexOf("Error File ID");
   var processedColIndex = headers.indexOf("Processed");
+  var stageColIndex = headers.indexOf("Stage");
+  var projectColIndex = headers.indexOf("Project");
   
   Logger.log("Column indices - Batch ID: " + batchIdColIndex + 
              ", OpenAI Batch ID: " + openAIBatchIdColIndex + 
              ", Status: " + statusColIndex + 
              ", Output File ID: " + outputFileIdColIndex + 
+             ", Error File ID: " + errorFileIdColIndex + 
              ", Processed: " + processedColIndex);
   
   if (openAIBatchIdColIndex < 0 || batchIdColIndex < 0 || outputFileIdColIndex < 0) {
@@ -1390,8 +5978,27 @@ function processBatchById(batchId, openAIBatchId) {
     if (currentBatchId === batchId || currentOpenAIBatchId === openAIBatchId) {
       Logger.log("Found batch in row " + (i+1));
       
+      // Batches created before projects have no project and belong to the default one
+      var projectName = projectColIndex >= 0 ? String(batchData[i][projectColIndex] || '') : '';
+      if (projectName !== getCurrentProject().name) {
+        // Log a deleted project once and keep the batch out of later checks, instead of failing every time
+        if (projectName && !getProjects().some(project => project.name === projectName)) {
+          logError(new Date(), 0, "Project Not Found", 
+                  `Batch ${batchId} belongs to the project "${projectName}", which is not in the Projects sheet. ` + 
+                  `Restore the project and set Processed back to "No" to process its results.`, batchId);
+          if (processedColIndex >= 0) {
+            batchStatusSheet.getRange(i + 1, processedColIndex + 1).setValue("Project Not Found");
+          }
+          return false;
+        }
+        return runInProject(projectName, () => processBatchById(batchId, openAIBatchId));
+      }
+      
       var outputFileId = batchData[i][outputFileIdColIndex];
+      var errorFileId = errorFileIdColIndex >= 0 ? batchData[i][errorFileIdColIndex] : "";
+      var batchStatus = statusColIndex >= 0 ? batchData[i][statusColIndex] : "";
       var currentProcessed = processedColIndex >= 0 ? batchData[i][processedColIndex] : "No";
+      var stage = stageColIndex >= 0 && batchData[i][stageColIndex] ? Number(batchData[i][stageColIndex]) - 1 : 0;
       
       // Skip if already processed
       if (currentProcessed === "Yes") {
@@ -1399,29 +6006,76 @@ function processBatchById(batchId, openAIBatchId) {
         return true;
       }
       
-      if (!outputFileId) {
-        Logger.log("Warning: No output file ID for batch " + batchId);
+      // Expired, failed and cancelled batches may have partial results or none at all
+      if (!outputFileId && !errorFileId && batchStatus === "completed") {
+        Logger.log("Warning: No output or error file ID for batch " + batchId);
         return false;
       }
       
       try {
-        Logger.log("Downloading output file " + outputFileId);
-        var outputContent = downloadFileFromOpenAI(outputFileId);
-        if (!outputContent) {
-          Logger.log("Warning: Could not download output file for batch " + batchId);
-          return false;
+        var result = { total: 0, success: 0, failed: 0, completedPrompts: {} };
+        
+        if (outputFileId) {
+          Logger.log("Downloading output file " + outputFileId);
+          var outputContent = downloadFileFromOpenAI(outputFileId);
+          if (!outputContent) {
+            Logger.log("Warning: Could not download output file for batch " + batchId);
+            return false;
+          }
+          
+          Logger.log("Processing output file content (length: " + outputContent.length + ")");
+          // Log a sample of the content
+          Logger.log("Content sample: " + outputContent.substring(0, 200) + "...");
+          
+          // Process the results
+          result = processOutputFile(outputContent, batchId, stage);
+          Logger.log("Processed output file: " + JSON.stringify(result));
+        }
+        
+        var failedRows = result.failedRows || {};
+        
+        if (errorFileId) {
+          Logger.log("Downloading error file " + errorFileId);
+          var errorResult = processErrorFile(downloadFileFromOpenAI(errorFileId), batchId);
+          result.total += errorResult.failed;
+          result.failed += errorResult.failed;
+          
+          for (var rowNumber in errorResult.failedRows) {
+            failedRows[rowNumber] = failedRows[rowNumber] || errorResult.failedRows[rowNumber];
+          }
+        }
+        
+        // Rows with a failed request get Status E, even when their other prompts succeeded
+        var dataSheet = getDataSheet();
+        var dataHeaders = dataSheet.getRange(1, 1, 1, dataSheet.getLastColumn()).getValues()[0];
+        for (var rowNumber in failedRows) {
+          markRowFailed(dataSheet, dataHeaders, Number(rowNumber), failedRows[rowNumber]);
+        }
+        
+        // A failed batch was rejected before running, the reasons are on the batch itself
+        if (batchStatus === "failed") {
+          logBatchErrors(retrieveBatch(openAIBatchId), batchId);
         }
         
-        Logger.log("Processing output file content (length: " + outputContent.length + ")");
-        // Log a sample of the content
-        Logger.log("Content sample: " + outputContent.substring(0, 200) + "...");
+        // Send the rows that completed this stage on to the prompts that use its outputs
+        if (stage < getLastPromptStage()) {
+          try {
+            createNextStageBatch(batchId, stage, result.completedPrompts, failedRows);
+          } catch (e) {
+            Logger.log("Error creating the next stage batch for " + batchId + ": " + e.toString());
+            logError(new Date(), 0, "Batch Creation Error", 
+                    `Could not create the stage ${stage + 2} batch after batch ${batchId}, its rows are set back to their Status from before the batch: ${e.toString()}`, batchId);
+          }
+        }
         
-        // Process the results
-        var result = processOutputFile(outputContent, batchId);
-        Logger.log("Processed output file: " + JSON.stringify(result));
+        // Rows without all their results get their Status back so the missing prompts can run again
+        var resetCount = resetUnfinishedBatchRows(batchId);
+        if (resetCount > 0) {
+          Logger.log("Reset " + resetCount + " unfinished rows of batch " + batchId);
+        }
         
-        // Update the status to "processed" in our sheet
-        if (statusColIndex >= 0) {
+        // Update the status to "processed" in our sheet, keeping expired, failed and cancelled visible
+        if (statusColIndex >= 0 && batchStatus === "completed") {
           batchStatusSheet.getRange(i + 1, statusColIndex + 1).setValue("processed");
         }
         
@@ -1448,26 +6102,40 @@ function processBatchById(batchId, openAIBatchId) {
   return processed;
 }
   
+// The largest page of the batch list
+const BATCH_LIST_PAGE_SIZE = 100;
+
 /**
- * Fetches all batches from OpenAI
+ * Fetches the batches from OpenAI, newest first. Without batch IDs only the
+ * first page is read, otherwise pages are read until every given batch is
+ * found or the list ends.
+ * @param {Array} batchIds - The OpenAI batch IDs to find (optional)
+ * @returns {Array} The batches
  */
-function fetchAllBatches() {
-  var apiKey = getApiKey();
-  
-  var options = {
-    method: 'get',
-    headers: { Authorization: 'Bearer ' + apiKey },
-    muteHttpExceptions: true
-  };
+function fetchAllBatches(batchIds) {
+  getBatchProvider();
   
-  var response = UrlFetchApp.fetch('https://api.openai.com/v1/batches', options);
-  var responseJson = JSON.parse(response.getContentText());
+  var batches = [];
+  var missingIds = (batchIds || []).slice();
+  var after = null;
   
-  if (responseJson.error) {
-    throw new Error('OpenAI API error: ' + responseJson.error.message);
-  }
+  do {
+    var path = '/batches?limit=' + BATCH_LIST_PAGE_SIZE + (after ? '&after=' + encodeURIComponent(after) : '');
+    var responseJson = fetchProviderJson('get', path);
+    var page = responseJson.data || [];
+    
+    for (var i = 0; i < page.length; i++) {
+      batches.push(page[i]);
+      var missingIndex = missingIds.indexOf(page[i].id);
+      if (missingIndex >= 0) {
+        missingIds.splice(missingIndex, 1);
+      }
+    }
+    
+    after = responseJson.has_more && page.length > 0 ? (responseJson.last_id || page[page.length - 1].id) : null;
+  } while (after && missingIds.length > 0);
   
-  return responseJson.data || [];
+  return batches;
 }
   
 /**
@@ -1476,7 +6144,7 @@ function fetchAllBatches() {
  * @returns {Object} The created batch object
  */
 function createBatchJob(requests) {
-  var apiKey = getApiKey();
+  getBatchProvider();
   
   // Create the JSONL content
   var jsonlContent = createJsonlContent(requests);
@@ -1510,24 +6178,18 @@ function createBatchJob(requests) {
  * @returns {string} JSONL content
  */
 function createJsonlContent(requests) {
+  var provider = getBatchProvider();
+  
   return requests.map(function(request) {
-    // Extract the model and custom_id
-    var model = request.model;
+    // Extract the custom_id
     var customId = request.custom_id;
     
     // Create the properly formatted request object with explicit ordering
     var formattedRequest = {
       custom_id: customId,
       method: "POST",
-      url: "/v1/chat/completions",
-      body: {
-        model: model,
-        messages: request.messages,
-        temperature: request.temperature,
-        max_tokens: request.max_tokens,
-        seed: request.seed,
-        response_format: request.response_format
-      }
+      url: provider.batchEndpoint,
+      body: provider.buildChatPayload(request)
     };
     
     return JSON.stringify(formattedRequest);
@@ -1538,7 +6200,6 @@ function createJsonlContent(requests) {
  * Uploads a file to OpenAI
  */
 function uploadFileToOpenAI(jsonlContent) {
-  var apiKey = getApiKey();
   var boundary = Utilities.getUuid();
   
   var metadata = {
@@ -1554,20 +6215,7 @@ function uploadFileToOpenAI(jsonlContent) {
                 jsonlContent + "\r\n" +
                 "--" + boundary + "--";
   
-  var options = {
-    method: 'post',
-    contentType: 'multipart/form-data; boundary=' + boundary,
-    headers: { Authorization: 'Bearer ' + apiKey },
-    payload: payload,
-    muteHttpExceptions: true
-  };
-  
-  var response = UrlFetchApp.fetch('https://api.openai.com/v1/files', options);
-  var responseJson = JSON.parse(response.getContentText());
-  
-  if (responseJson.error) {
-    throw new Error('OpenAI API error: ' + responseJson.error.message);
-  }
+  var responseJson = fetchProviderJson('post', '/files', payload, 'multipart/form-data; boundary=' + boundary);
   
   return responseJson.id;
 }
@@ -1576,77 +6224,88 @@ function uploadFileToOpenAI(jsonlContent) {
  * Creates a batch job in OpenAI
  */
 function createOpenAIBatch(fileId) {
-  var apiKey = getApiKey();
+  var provider = getBatchProvider();
+  var maxRetries = getMaxRetries();
   
   var payload = {
     input_file_id: fileId,
-    endpoint: "/v1/chat/completions",
+    endpoint: provider.batchEndpoint,
     completion_window: "24h"
   };
   
-  var options = {
-    method: 'post',
-    contentType: 'application/json',
-    headers: { Authorization: 'Bearer ' + apiKey },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-  
-  var response = UrlFetchApp.fetch('https://api.openai.com/v1/batches', options);
-  var responseJson = JSON.parse(response.getContentText());
-  
-  if (responseJson.error) {
-    throw new Error('OpenAI API error: ' + responseJson.error.message);
+  for (var attempt = 0; ; attempt++) {
+    try {
+      return fetchProviderJson('post', '/batches', payload);
+    } catch (e) {
+      if (!e.mayHaveRun || attempt >= maxRetries) {
+        throw e;
+      }
+      
+      // A create that timed out may still have worked, sending it again would start and bill a second batch
+      var existingBatch = findBatchByInputFile(fileId);
+      if (existingBatch) {
+        Logger.log(`Batch creation failed with "${e.message}", but batch ${existingBatch.id} was created for file ${fileId}`);
+        return existingBatch;
+      }
+      Utilities.sleep(getRetryDelayMs(null, attempt));
+    }
   }
-  
-  return responseJson;
+}
+
+/**
+ * Finds the batch created for an uploaded input file among the most recent batches
+ * @param {string} fileId - The input file ID
+ * @returns {Object} The batch, or null when there is none
+ */
+function findBatchByInputFile(fileId) {
+  var batches = fetchAllBatches();
+  for (var i = 0; i < batches.length; i++) {
+    if (batches[i].input_file_id === fileId) {
+      return batches[i];
+    }
+  }
+  return null;
 }
   
 /**
  * Retrieves batch information from OpenAI
  */
 function retrieveBatch(batchId) {
-  var apiKey = getApiKey();
+  getBatchProvider();
   
-  var options = {
-    method: 'get',
-    headers: { Authorization: 'Bearer ' + apiKey },
-    muteHttpExceptions: true
-  };
-  
-  var response = UrlFetchApp.fetch(`https://api.openai.com/v1/batches/${batchId}`, options);
-  var responseJson = JSON.parse(response.getContentText());
-  
-  if (responseJson.error) {
-    throw new Error('OpenAI API error: ' + responseJson.error.message);
-  }
+  return fetchProviderJson('get', `/batches/${batchId}`);
+}
+
+/**
+ * Cancels a batch job at OpenAI
+ */
+function cancelOpenAIBatch(batchId) {
+  getBatchProvider();
   
-  return responseJson;
+  return fetchProviderJson('post', `/batches/${batchId}/cancel`);
 }
   
 /**
  * Downloads a file from OpenAI
  */
 function downloadFileFromOpenAI(fileId) {
-  var apiKey = getApiKey();
-  
-  var options = {
-    method: 'get',
-    headers: { Authorization: 'Bearer ' + apiKey },
-    muteHttpExceptions: true
-  };
+  getBatchProvider();
   
-  var response = UrlFetchApp.fetch(`https://api.openai.com/v1/files/${fileId}/content`, options);
+  var response = fetchWithRetry(buildProviderUrl(`/files/${fileId}/content`), buildProviderRequestOptions('get'));
   return response.getContentText();
 }
   
 /**
  * Processes the output file and updates the Data sheet
+ * @param {string} outputContent - The JSONL content of the output file
+ * @param {string} batchId - The batch ID
+ * @param {number} stage - The prompt stage of the batch, rows are only completed by the last stage
+ * @returns {Object} The request counts, the first error of each failed row and the number of completed prompts per row
  */
-function processOutputFile(outputContent, batchId) {
+function processOutputFile(outputContent, batchId, stage) {
   Logger.log("Starting processOutputFile for batch " + batchId);
   
-  var dataSheet = getSheet('Data');
+  var dataSheet = getDataSheet();
   var headers = dataSheet.getRange(1, 1, 1, dataSheet.getLastColumn()).getValues()[0];
   
   // Find Status and Batch ID columns
@@ -1655,6 +6314,16 @@ function processOutputFile(outputContent, batchId) {
   
   Logger.log("Column indices - Status: " + statusColIndex + ", Batch ID: " + batchIdColIndex);
   
+  // Look up prompt schemas by name and create their output columns up front
+  var prompts = getActivePrompts();
+  var promptsByName = {};
+  for (var i = 0; i < prompts.length; i++) {
+    promptsByName[prompts[i].name] = prompts[i];
+  }
+  ensureOutputColumns(dataSheet, headers, prompts);
+  var isLastStage = (stage || 0) >= getLastPromptStage(prompts);
+  var dataRange = dataSheet.getDataRange().getValues();
+  
   var lines = outputContent.split('\n').filter(line => line.trim()); // Filter out empty lines
   Logger.log("Found " + lines.length + " lines in output file");
   
@@ -1663,6 +6332,10 @@ function processOutputFile(outputContent, batchId) {
   var successfulRequests = 0;
   var failedRequests = 0;
   
+  // The first error of each failed row, and the number of prompts completed for each row
+  var failedRows = {};
+  var completedPrompts = {};
+  
   // Track metrics for cost summary
   var promptMetrics = {};
   
@@ -1676,68 +6349,46 @@ function processOutputFile(outputContent, batchId) {
       Logger.log("Processing line " + (i+1) + " with custom_id: " + customId);
       
       // Parse the custom_id to extract row and prompt information
-      // Format: row-{rowIndex}-prompt-{promptIndex}-{promptName}
-      var customIdParts = customId.split('-');
-      if (customIdParts.length < 5 || customIdParts[0] !== 'row' || customIdParts[2] !== 'prompt') {
+      var parsedId = parseCustomId(customId);
+      if (!parsedId) {
         Logger.log("Warning: Invalid custom_id format: " + customId);
         logError(new Date(), 0, "Invalid Format", "Invalid custom_id format: " + customId, batchId);
         continue;
       }
       
-      var rowNumber = parseInt(customIdParts[1]);
-      var promptIndex = parseInt(customIdParts[3]);
-      
-      // Extract the prompt name (which might contain hyphens)
-      var promptNameEncoded = customIdParts.slice(4).join('-');
-      var promptName = decodeURIComponent(promptNameEncoded);
+      var rowNumber = parsedId.rowNumber;
+      var promptIndex = parsedId.promptIndex;
+      var promptName = parsedId.promptName;
       
       Logger.log("Parsed custom_id - Row: " + rowNumber + ", Prompt Index: " + promptIndex + ", Prompt Name: " + promptName);
       
-      if (isNaN(rowNumber) || isNaN(promptIndex)) {
-        Logger.log("Warning: Invalid row or prompt index in custom_id: " + customId);
-        logError(new Date(), 0, "Invalid Format", "Invalid row or prompt index in custom_id: " + customId, batchId);
-        continue;
-      }
-      
       if (result.error) {
         // Log the error
         Logger.log("API Error for row " + rowNumber + ": " + result.error.message);
         logError(new Date(), rowNumber, "API Error", `Batch error for ${promptName}: ${result.error.message}`, batchId);
+        failedRows[rowNumber] = failedRows[rowNumber] || `API Error (${promptName}): ${result.error.message}`;
         failedRequests++;
         continue;
       }
       
       var response = result.response;
       if (response && response.status_code === 200 && response.body) {
-        var responseBody = response.body;
-        var content = responseBody.choices[0].message.content;
+        var responseBody = getBatchProvider().parseChatResponse(response.body);
+        var content = responseBody.content;
+        var prompt = promptsByName[promptName] || null;
+        var outputMode = prompt ? prompt.outputMode : null;
         
         try {
           Logger.log("Parsing content for row " + rowNumber);
-          var parsedContent = JSON.parse(content);
-          
-          // Save the response to the Data sheet
-          saveResponseToDataSheet(dataSheet, headers, rowNumber - 1, parsedContent, promptName);
-          
-          // Mark the row as processed (status = 2 for batch completed)
-          if (statusColIndex >= 0) {
-            dataSheet.getRange(rowNumber, statusColIndex + 1).setValue(2);
-          }
-          
-          // Set the batch ID if it's not already set
-          if (batchIdColIndex >= 0) {
-            var currentBatchId = dataSheet.getRange(rowNumber, batchIdColIndex + 1).getValue();
-            if (!currentBatchId) {
-              dataSheet.getRange(rowNumber, batchIdColIndex + 1).setValue(batchId);
-            }
-          }
+          var parsedContent = parseResponseContent(content, !!outputMode && outputMode.type === 'text');
           
           // Track usage for cost summary
           var model = responseBody.model;
-          var inputTokens = responseBody.usage.prompt_tokens;
-          var outputTokens = responseBody.usage.completion_tokens;
-          var totalTokens = responseBody.usage.total_tokens;
-          var cost = calculateCost(model, inputTokens, outputTokens, true, 0);
+          var inputTokens = responseBody.inputTokens;
+          var outputTokens = responseBody.outputTokens;
+          var totalTokens = responseBody.totalTokens;
+          var cachedTokens = responseBody.cachedTokens || 0;
+          var cost = calculateCost(model, inputTokens, outputTokens, true, cachedTokens);
           
           Logger.log("Successfully processed row " + rowNumber + " with model " + model);
           
@@ -1772,16 +6423,60 @@ function processOutputFile(outputContent, batchId) {
           promptMetrics[promptName].outputTokens += outputTokens;
           promptMetrics[promptName].totalTokens += totalTokens;
           promptMetrics[promptName].cost += cost;
+          promptMetrics[promptName].cachedTokens += cachedTokens;
+          
+          // Reject responses that do not match the prompt's schema
+          var schemaErrors = validatePromptResponse(parsedContent, prompt);
+          if (schemaErrors.length > 0) {
+            logError(new Date(), rowNumber, "Schema Validation", `Response for ${promptName} does not match the schema: ${schemaErrors.join('; ')}`, batchId);
+            failedRows[rowNumber] = failedRows[rowNumber] || `Schema Validation (${promptName}): ${schemaErrors[0]}`;
+            failedRequests++;
+            continue;
+          }
+          
+          // Save the response to the Data sheet
+          saveResponseToDataSheet(dataSheet, headers, rowNumber - 1, parsedContent, promptName, null, prompt);
+          if (parsedId.cacheKey) {
+            cacheResponse(parsedId.cacheKey, model, parsedContent);
+          }
+          
+          // Record the version the prompt was queued with
+          var rowData = dataRange[rowNumber - 1];
+          var versions = getRowPromptVersions(prompts, headers, rowData);
+          var version = versions[promptName] ? versions[promptName].version : (prompt ? prompt.version : null);
+          if (version) {
+            var versionChanges = {};
+            versionChanges[promptName] = { version: version, queued: false };
+            versions = updatePromptVersions(dataSheet, headers, rowNumber, rowData, prompts, versionChanges);
+          }
+          
+          // Mark the row as processed (status = 2 for batch completed) once nothing is queued for it, earlier stages leave it in progress
+          var isRowDone = isLastStage || !Object.keys(versions).some(name => versions[name].queued);
+          if (statusColIndex >= 0 && isRowDone) {
+            dataSheet.getRange(rowNumber, statusColIndex + 1).setValue(2);
+          }
+          clearRowError(dataSheet, headers, rowNumber);
+          completedPrompts[rowNumber] = (completedPrompts[rowNumber] || 0) + 1;
+          
+          // Set the batch ID if it's not already set
+          if (batchIdColIndex >= 0) {
+            var currentBatchId = dataSheet.getRange(rowNumber, batchIdColIndex + 1).getValue();
+            if (!currentBatchId) {
+              dataSheet.getRange(rowNumber, batchIdColIndex + 1).setValue(batchId);
+            }
+          }
           
           successfulRequests++;
         } catch (e) {
           Logger.log("Error parsing content for row " + rowNumber + ": " + e.toString());
           logError(new Date(), rowNumber, "Parse Error", `Error parsing content for ${promptName}: ${e.toString()}`, batchId);
+          failedRows[rowNumber] = failedRows[rowNumber] || `Parse Error (${promptName}): ${e.message}`;
           failedRequests++;
         }
       } else {
         Logger.log("Invalid response for row " + rowNumber + ": " + JSON.stringify(response));
         logError(new Date(), rowNumber, "Invalid Response", `Invalid response for ${promptName}`, batchId);
+        failedRows[rowNumber] = failedRows[rowNumber] || `Invalid Response (${promptName})`;
         failedRequests++;
       }
     } catch (e) {
@@ -1806,7 +6501,9 @@ function processOutputFile(outputContent, batchId) {
       metrics.inputTokens,
       metrics.outputTokens,
       metrics.cost,
-      0  // Batch requests don't use cached tokens
+      metrics.cachedTokens,
+      0,
+      getPricingWarning(metrics.model)
     );
   }
   
@@ -1815,10 +6512,153 @@ function processOutputFile(outputContent, batchId) {
   return {
     total: totalRequests,
     success: successfulRequests,
-    failed: failedRequests
+    failed: failedRequests,
+    failedRows: failedRows,
+    completedPrompts: completedPrompts
+  };
+}
+
+/**
+ * Parses a batch request custom_id
+ * Format: row-{rowIndex}-prompt-{promptIndex}-key-{cacheKey}-{promptName}, batches
+ * created before the response cache have no key
+ * @param {string} customId - The custom_id of a batch request
+ * @returns {Object|null} The rowNumber, promptIndex, cacheKey and promptName, or null when the format is invalid
+ */
+function parseCustomId(customId) {
+  var customIdParts = String(customId || '').split('-');
+  if (customIdParts.length < 5 || customIdParts[0] !== 'row' || customIdParts[2] !== 'prompt') {
+    return null;
+  }
+  
+  var rowNumber = parseInt(customIdParts[1]);
+  var promptIndex = parseInt(customIdParts[3]);
+  if (isNaN(rowNumber) || isNaN(promptIndex)) {
+    return null;
+  }
+  
+  var nameStart = 4;
+  var cacheKey = null;
+  if (customIdParts[4] === 'key' && /^[0-9a-f]{64}$/.test(customIdParts[5] || '')) {
+    cacheKey = customIdParts[5];
+    nameStart = 6;
+  }
+  
+  // The prompt name might contain hyphens
+  return {
+    rowNumber: rowNumber,
+    promptIndex: promptIndex,
+    cacheKey: cacheKey,
+    promptName: decodeURIComponent(customIdParts.slice(nameStart).join('-'))
+  };
+}
+
+/**
+ * Logs every request in a batch error file to the Error Log
+ * @param {string} errorContent - The JSONL content of the error file
+ * @param {string} batchId - The batch ID
+ * @returns {Object} The number of failed requests and the first error of each failed row
+ */
+function processErrorFile(errorContent, batchId) {
+  var lines = (errorContent || '').split('\n').filter(line => line.trim());
+  Logger.log("Found " + lines.length + " lines in error file for batch " + batchId);
+  var failedRows = {};
+  
+  for (var i = 0; i < lines.length; i++) {
+    try {
+      var result = JSON.parse(lines[i]);
+      var parsedId = parseCustomId(result.custom_id);
+      var error = result.error || (result.response && result.response.body && result.response.body.error) || {};
+      var message = error.message || JSON.stringify(result.response || result);
+      
+      if (parsedId) {
+        logError(new Date(), parsedId.rowNumber, "Batch Request Error", 
+                `Batch error for ${parsedId.promptName}: ${message}`, batchId);
+        failedRows[parsedId.rowNumber] = failedRows[parsedId.rowNumber] || 
+          `Batch Request Error (${parsedId.promptName}): ${message}`;
+      } else {
+        logError(new Date(), 0, "Batch Request Error", `Batch error for ${result.custom_id}: ${message}`, batchId);
+      }
+    } catch (e) {
+      Logger.log("Error processing line " + (i+1) + " of error file: " + e.toString());
+      logError(new Date(), 0, "Processing Error", `Error processing batch error file: ${e.toString()}`, batchId);
+    }
+  }
+  
+  return {
+    failed: lines.length,
+    failedRows: failedRows
   };
 }
 
+/**
+ * Logs the reasons a batch was rejected by the provider before it ran
+ * @param {Object} batch - The batch details
+ * @param {string} batchId - The batch ID
+ */
+function logBatchErrors(batch, batchId) {
+  var errors = batch && batch.errors && batch.errors.data ? batch.errors.data : [];
+  
+  if (errors.length === 0) {
+    logError(new Date(), 0, "Batch Failed", `Batch ${batchId} failed without an error message`, batchId);
+    return;
+  }
+  
+  for (var i = 0; i < errors.length; i++) {
+    var message = (errors[i].code ? errors[i].code + ': ' : '') + errors[i].message;
+    if (errors[i].line) {
+      message += ` (line ${errors[i].line})`;
+    }
+    logError(new Date(), 0, "Batch Failed", message, batchId);
+  }
+}
+
+/**
+ * Sets the rows still waiting for a batch back to the Status they had before it.
+ * The prompts the batch had queued for them are removed from their Prompt
+ * Versions so that only those run again; the results that did come back are
+ * kept, which makes a pending row with such results count as processed.
+ * @param {string} batchId - The batch ID
+ * @returns {number} The number of rows that were reset
+ */
+function resetUnfinishedBatchRows(batchId) {
+  var dataSheet = getDataSheet();
+  var data = dataSheet.getDataRange().getValues();
+  var headers = data[0];
+  var statusColIndex = headers.indexOf("Status");
+  var batchIdColIndex = headers.indexOf("Batch ID");
+  var statusBeforeColIndex = headers.indexOf(STATUS_BEFORE_BATCH_COLUMN);
+  var prompts = getActivePrompts();
+  var resetCount = 0;
+  
+  if (statusColIndex < 0 || batchIdColIndex < 0) {
+    return 0;
+  }
+  
+  for (var i = 1; i < data.length; i++) {
+    if (data[i][batchIdColIndex] !== batchId || !isRowWaitingForBatch(headers, data[i])) continue;
+    
+    // Rows uploaded by earlier versions were pending
+    var statusBefore = data[i][statusColIndex] === ROW_BATCH_STATUS && statusBeforeColIndex >= 0 ? data[i][statusBeforeColIndex] : '';
+    
+    var versionChanges = {};
+    getQueuedPrompts(prompts, headers, data[i]).forEach(name => versionChanges[name] = null);
+    var versions = updatePromptVersions(dataSheet, headers, i + 1, data[i], prompts, versionChanges);
+    if (isPendingStatus(statusBefore) && Object.keys(versions).length > 0) {
+      statusBefore = 2;
+    }
+    
+    dataSheet.getRange(i + 1, statusColIndex + 1).setValue(statusBefore);
+    dataSheet.getRange(i + 1, batchIdColIndex + 1).setValue('');
+    if (statusBeforeColIndex >= 0) {
+      dataSheet.getRange(i + 1, statusBeforeColIndex + 1).setValue('');
+    }
+    resetCount++;
+  }
+  
+  return resetCount;
+}
+
 /**
  * Gets the temperature from the Config sheet or uses the default
  * @returns {number} The temperature value
@@ -1846,6 +6686,93 @@ function getSeed() {
   return seed !== undefined ? parseInt(seed) : CONFIG_DEFAULTS.SEED;
 }
 
+/**
+ * Gets the maximum number of retries for failed API calls from the Config sheet or uses the default
+ * @returns {number} The maximum number of retries
+ */
+function getMaxRetries() {
+  var retries = getConfigValue(CONFIG_KEYS.MAX_RETRIES);
+  return retries !== undefined && retries !== '' ? parseInt(retries) : CONFIG_DEFAULTS.MAX_RETRIES;
+}
+
+/**
+ * Gets the auto batch processing interval from the Config sheet or uses the default.
+ * The value is rounded up to an interval supported by time-based triggers.
+ * @returns {number} The interval in minutes
+ */
+function getAutoBatchInterval() {
+  var interval = Number(getConfigValue(CONFIG_KEYS.AUTO_BATCH_INTERVAL)) || CONFIG_DEFAULTS.AUTO_BATCH_INTERVAL;
+  for (var i = 0; i < TRIGGER_MINUTE_INTERVALS.length; i++) {
+    if (interval <= TRIGGER_MINUTE_INTERVALS[i]) {
+      return TRIGGER_MINUTE_INTERVALS[i];
+    }
+  }
+  return TRIGGER_MINUTE_INTERVALS[TRIGGER_MINUTE_INTERVALS.length - 1];
+}
+
+/**
+ * Gets the maximum number of parallel API requests from the Config sheet or uses the default
+ * @returns {number} The concurrency, at least 1
+ */
+function getConcurrency() {
+  var concurrency = getConfigValue(CONFIG_KEYS.CONCURRENCY);
+  return concurrency !== undefined && concurrency !== '' ? Math.max(1, parseInt(concurrency)) : CONFIG_DEFAULTS.CONCURRENCY;
+}
+
+/**
+ * Gets the maximum number of attempts for a failed row from the Config sheet or uses the default
+ * @returns {number} The maximum number of attempts, at least 1
+ */
+function getMaxAttempts() {
+  var attempts = getConfigValue(CONFIG_KEYS.MAX_ATTEMPTS);
+  return attempts !== undefined && attempts !== '' ? Math.max(1, parseInt(attempts)) : CONFIG_DEFAULTS.MAX_ATTEMPTS;
+}
+
+/**
+ * Gets a spending limit in USD from the Config sheet or uses the default
+ * @param {string} key - MAX_COST_PER_RUN, MAX_COST_PER_DAY or MAX_COST_PER_MONTH
+ * @returns {number} The limit, 0 when there is none
+ */
+function getCostLimit(key) {
+  var limit = parseFloat(getConfigValue(CONFIG_KEYS[key]));
+  return limit > 0 ? limit : CONFIG_DEFAULTS[key];
+}
+
+/**
+ * Gets the number of nesting levels flattened into columns from the Config sheet or uses the default
+ * @returns {number} The maximum depth, 0 to keep nested values as JSON
+ */
+function getFlattenMaxDepth() {
+  var depth = getConfigValue(CONFIG_KEYS.FLATTEN_MAX_DEPTH);
+  return depth !== undefined && depth !== '' ? Math.max(0, parseInt(depth)) : CONFIG_DEFAULTS.FLATTEN_MAX_DEPTH;
+}
+
+/**
+ * Gets the text that joins the items of arrays of scalars from the Config sheet or uses the default
+ * @returns {string} The delimiter
+ */
+function getFlattenArrayDelimiter() {
+  var delimiter = getConfigValue(CONFIG_KEYS.FLATTEN_ARRAY_DELIMITER);
+  return delimiter !== undefined && delimiter !== '' ? String(delimiter) : CONFIG_DEFAULTS.FLATTEN_ARRAY_DELIMITER;
+}
+
+/**
+ * Gets how arrays of objects are written from the Config sheet or uses the default
+ * @returns {string} json to write them as JSON, index to expand them into one column per item
+ */
+function getFlattenObjectArrays() {
+  var mode = getConfigValue(CONFIG_KEYS.FLATTEN_OBJECT_ARRAYS);
+  if (mode === undefined || mode === '') {
+    return CONFIG_DEFAULTS.FLATTEN_OBJECT_ARRAYS;
+  }
+  
+  mode = String(mode).trim().toLowerCase();
+  if (mode !== 'json' && mode !== 'index') {
+    throw new Error('FLATTEN_OBJECT_ARRAYS must be json or index but is "' + mode + '".');
+  }
+  return mode;
+}
+
 function getCurrentVersion() {
   return "2.1"
 }